@@ -0,0 +1,138 @@
+// ============================================================
+// Asset Store - Imported SVG shapes and shape keys
+// ============================================================
+
+import { assets, shape, shapeSet, morph, glyph, shapeTypeOptions } from './state.js';
+import { getGlyphAsset } from './shapes/glyphs.js';
+
+// Per-session counter keeping ids unique within the same millisecond
+let idCounter = 0;
+
+/**
+ * Create a new asset id. Ids are saved with presets, so they are made
+ * unlikely to collide with assets imported from another session.
+ * @returns {string}
+ */
+function createAssetId() {
+  idCounter++;
+  return `${Date.now().toString(36)}${idCounter.toString(36)}`;
+}
+
+/**
+ * Add an imported SVG to the store
+ * @param {string} name - file name
+ * @param {Object} data - parsed data from parseSVG
+ * @returns {Object} - the new asset {id, name, paths, bounds, outline}
+ */
+export function addSVGAsset(name, data) {
+  const asset = {
+    id: createAssetId(),
+    name,
+    paths: data.paths,
+    bounds: data.bounds,
+    outline: data.outline,
+  };
+  assets.svgs.push(asset);
+  return asset;
+}
+
+/**
+ * Remove an SVG from the store and from every shape referencing it
+ * @param {string} id - asset id
+ */
+export function removeSVGAsset(id) {
+  assets.svgs = assets.svgs.filter(a => a.id !== id);
+  const key = getAssetKey(id);
+  shapeSet.shapes = shapeSet.shapes.filter(k => k !== key);
+  if (morph.from === key) morph.from = 'circle';
+  if (morph.to === key) morph.to = 'circle';
+  if (shape.customAsset === id) {
+    shape.customAsset = assets.svgs.length > 0 ? assets.svgs[assets.svgs.length - 1].id : '';
+  }
+}
+
+/**
+ * Add assets saved with a preset, skipping ones already in the store
+ * @param {Array} list - saved assets
+ */
+export function importSVGAssets(list) {
+  for (const asset of list) {
+    if (!getAsset(asset.id)) assets.svgs.push(asset);
+  }
+}
+
+/**
+ * Get an SVG asset by id
+ * @param {string} id - asset id
+ * @returns {Object|null}
+ */
+export function getAsset(id) {
+  return assets.svgs.find(a => a.id === id) || null;
+}
+
+/**
+ * Get the asset drawn by the 'custom' shape type
+ * @returns {Object|null}
+ */
+export function getCurrentAsset() {
+  return getAsset(shape.customAsset);
+}
+
+/**
+ * Get the shape key referencing an SVG asset
+ * @param {string} id - asset id
+ * @returns {string}
+ */
+export function getAssetKey(id) {
+  return `svg:${id}`;
+}
+
+/**
+ * Resolve a shape key (a built-in type, 'custom', 'svg:<id>' or
+ * 'glyph:<char>') to what should be drawn
+ * @param {string} key - shape key
+ * @returns {Object} - {type, asset}; asset is set for SVG shapes and for
+ *   glyphs once a font is loaded
+ */
+export function resolveShape(key) {
+  if (key === 'custom') {
+    return { type: 'custom', asset: getCurrentAsset() };
+  }
+  if (key === 'glyph' || key.startsWith('glyph:')) {
+    // A bare glyph key (e.g. a morph end) uses the first character
+    const ch = key === 'glyph' ? Array.from(glyph.text)[0] : key.slice(6);
+    return { type: 'glyph', asset: getGlyphAsset(ch) };
+  }
+  if (key.startsWith('svg:')) {
+    return { type: 'custom', asset: getAsset(key.slice(4)) };
+  }
+  return { type: key, asset: null };
+}
+
+/**
+ * Get the dropdown options for shape set entries: built-in shapes followed
+ * by every imported SVG
+ * @returns {Object} - label to shape key
+ */
+export function getShapeKeyOptions() {
+  const options = {};
+  for (const [label, type] of Object.entries(shapeTypeOptions)) {
+    if (type !== 'custom') options[label] = type;
+  }
+  for (const asset of assets.svgs) {
+    options[`SVG: ${asset.name}`] = getAssetKey(asset.id);
+  }
+  return options;
+}
+
+/**
+ * Get the dropdown options for the 'custom' shape's SVG
+ * @returns {Object} - label to asset id
+ */
+export function getAssetOptions() {
+  const options = {};
+  for (const asset of assets.svgs) {
+    options[asset.name] = asset.id;
+  }
+  return assets.svgs.length > 0 ? options : { '(none)': '' };
+}
@@ -0,0 +1,340 @@
+// ============================================================
+// Colors - Parsing, color spaces and palette gradients
+// ============================================================
+
+import { palette } from './state.js';
+
+// --- Parsing ---
+
+// #rgb, #rgba, #rrggbb or #rrggbbaa
+const HEX_COLOR = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+/**
+ * Parse a hex color (#rgb, #rgba, #rrggbb or #rrggbbaa)
+ * @param {string} hex - color
+ * @returns {Object} - {r, g, b, a} in 0-1; opaque black when unreadable
+ */
+export function parseColor(hex) {
+  const match = typeof hex === 'string' ? hex.trim().match(HEX_COLOR) : null;
+  if (!match) return { r: 0, g: 0, b: 0, a: 1 };
+  let digits = match[1];
+  if (digits.length <= 4) digits = [...digits].map(d => d + d).join('');
+  
+  const channel = i => parseInt(digits.slice(i * 2, i * 2 + 2), 16) / 255;
+  return { r: channel(0), g: channel(1), b: channel(2), a: digits.length === 8 ? channel(3) : 1 };
+}
+
+/**
+ * Format a color as hex, with an alpha byte only when not opaque
+ * @param {Object} color - {r, g, b, a} in 0-1 (clamped)
+ * @returns {string} - #rrggbb or #rrggbbaa
+ */
+export function formatColor({ r, g, b, a = 1 }) {
+  const byte = v => Math.round(Math.min(Math.max(v, 0), 1) * 255).toString(16).padStart(2, '0');
+  const alpha = a < 1 - 0.5 / 255 ? byte(a) : '';
+  return `#${byte(r)}${byte(g)}${byte(b)}${alpha}`;
+}
+
+/**
+ * Convert a color to a p5 color, multiplying its own alpha by an opacity.
+ * Colors other than hex (such as an SVG's original named colors) are left
+ * to p5.
+ * @param {p5} p - p5 instance
+ * @param {string} color - CSS color
+ * @param {number} opacity - 0-1
+ * @returns {p5.Color}
+ */
+export function toP5Color(p, color, opacity = 1) {
+  if (!HEX_COLOR.test(color)) {
+    const c = p.color(color);
+    c.setAlpha(opacity * 255);
+    return c;
+  }
+  const { r, g, b, a } = parseColor(color);
+  return p.color(r * 255, g * 255, b * 255, a * opacity * 255);
+}
+
+/**
+ * Split a color into an opaque SVG paint and an opacity, since SVG 1.1
+ * has no alpha in hex colors
+ * @param {string} color - CSS color; other than hex it is kept as is
+ * @param {number} opacity - 0-1, multiplied by the color's alpha
+ * @returns {Object} - {paint, opacity}
+ */
+export function toSVGPaint(color, opacity = 1) {
+  if (!HEX_COLOR.test(color)) return { paint: color, opacity: Math.round(opacity * 1000) / 1000 };
+  const { r, g, b, a } = parseColor(color);
+  return { paint: formatColor({ r, g, b }), opacity: Math.round(a * opacity * 1000) / 1000 };
+}
+
+// --- Color Spaces ---
+
+/**
+ * sRGB transfer function, encoded to linear
+ * @param {number} v - channel 0-1
+ * @returns {number}
+ */
+function toLinear(v) {
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * sRGB transfer function, linear to encoded
+ * @param {number} v - channel 0-1
+ * @returns {number}
+ */
+function fromLinear(v) {
+  return v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(Math.max(v, 0), 1 / 2.4) - 0.055;
+}
+
+/**
+ * Linear sRGB to OKLab
+ * @param {Array} rgb - [r, g, b] linear
+ * @returns {Array} - [L, a, b]
+ */
+function linearToOklab([r, g, b]) {
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+  ];
+}
+
+/**
+ * OKLab to linear sRGB
+ * @param {Array} lab - [L, a, b]
+ * @returns {Array} - [r, g, b] linear (may leave the gamut)
+ */
+function oklabToLinear([L, a, b]) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+  ];
+}
+
+/**
+ * Convert a color to the coordinates of an interpolation space
+ * @param {Object} color - {r, g, b} sRGB 0-1
+ * @param {string} space - srgb, linear, oklab, oklch
+ * @returns {Array} - three coordinates; OKLCH hue in degrees
+ */
+function toSpace({ r, g, b }, space) {
+  if (space === 'srgb') return [r, g, b];
+  const linear = [toLinear(r), toLinear(g), toLinear(b)];
+  if (space === 'linear') return linear;
+  const lab = linearToOklab(linear);
+  if (space === 'oklab') return lab;
+  const hue = (Math.atan2(lab[2], lab[1]) * 180) / Math.PI;
+  return [lab[0], Math.hypot(lab[1], lab[2]), (hue + 360) % 360];
+}
+
+/**
+ * Convert interpolation space coordinates back to sRGB
+ * @param {Array} coords - three coordinates from toSpace
+ * @param {string} space - srgb, linear, oklab, oklch
+ * @returns {Object} - {r, g, b} sRGB 0-1 (unclamped)
+ */
+function fromSpace(coords, space) {
+  if (space === 'srgb') return { r: coords[0], g: coords[1], b: coords[2] };
+  let linear = coords;
+  if (space !== 'linear') {
+    let lab = coords;
+    if (space === 'oklch') {
+      const h = (coords[2] * Math.PI) / 180;
+      lab = [coords[0], coords[1] * Math.cos(h), coords[1] * Math.sin(h)];
+    }
+    linear = oklabToLinear(lab);
+  }
+  return { r: fromLinear(linear[0]), g: fromLinear(linear[1]), b: fromLinear(linear[2]) };
+}
+
+/**
+ * Unwrap two hues so that interpolating between them goes the chosen way
+ * round the hue circle
+ * @param {number} h1 - first hue in degrees (0-360)
+ * @param {number} h2 - second hue in degrees (0-360)
+ * @param {string} direction - shorter, longer, increasing, decreasing
+ * @returns {Array} - [h1, h2]
+ */
+function fixHues(h1, h2, direction) {
+  const delta = h2 - h1;
+  switch (direction) {
+    case 'longer':
+      if (delta > 0 && delta < 180) h1 += 360;
+      else if (delta > -180 && delta <= 0) h2 += 360;
+      break;
+    case 'increasing':
+      if (delta < 0) h2 += 360;
+      break;
+    case 'decreasing':
+      if (delta > 0) h1 += 360;
+      break;
+    default:
+      if (delta > 180) h1 += 360;
+      else if (delta < -180) h2 += 360;
+  }
+  return [h1, h2];
+}
+
+// --- Interpolation ---
+
+/**
+ * Mix two colors in the palette's interpolation space. Alpha is
+ * premultiplied, so a transparent stop fades without tinting; OKLCH hues
+ * follow the palette's hue direction, and a gray takes the other color's
+ * hue.
+ * @param {string} c1 - first hex color
+ * @param {string} c2 - second hex color
+ * @param {number} t - mix factor (0-1)
+ * @returns {string} - hex color
+ */
+export function mixColors(c1, c2, t) {
+  const space = palette.interpolation;
+  const a = parseColor(c1);
+  const b = parseColor(c2);
+  const p = toSpace(a, space);
+  const q = toSpace(b, space);
+  const alpha = a.a + (b.a - a.a) * t;
+  
+  // Hue is never premultiplied
+  const polar = space === 'oklch';
+  const premultiplied = polar ? 2 : 3;
+  if (polar) {
+    if (p[1] < 1e-4) p[2] = q[2];
+    if (q[1] < 1e-4) q[2] = p[2];
+    [p[2], q[2]] = fixHues(p[2], q[2], palette.hue);
+  }
+  
+  const coords = p.map((v, i) => {
+    if (i >= premultiplied) return v + (q[i] - v) * t;
+    const mixed = v * a.a + (q[i] * b.a - v * a.a) * t;
+    return alpha > 0 ? mixed / alpha : v + (q[i] - v) * t;
+  });
+  if (polar) coords[2] = ((coords[2] % 360) + 360) % 360;
+  
+  return formatColor({ ...fromSpace(coords, space), a: alpha });
+}
+
+/**
+ * Rotate the hue of a color in HSL, keeping its alpha
+ * @param {string} hex - color
+ * @param {number} degrees - hue offset in degrees
+ * @returns {string} - shifted color
+ */
+export function shiftHue(hex, degrees) {
+  if (!HEX_COLOR.test(hex)) return hex;
+  const { r, g, b, a: alpha } = parseColor(hex);
+  
+  // RGB to HSL
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (d === 0) return hex;
+  
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === r) h = ((g - b) / d) % 6;
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  h = (((h * 60 + degrees) % 360) + 360) % 360;
+  
+  // HSL back to RGB
+  const a = s * Math.min(l, 1 - l);
+  const f = k0 => {
+    const k = (k0 + h / 30) % 12;
+    return l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
+  };
+  return formatColor({ r: f(0), g: f(8), b: f(4), a: alpha });
+}
+
+// --- Palette ---
+
+/**
+ * Build evenly spaced, opaque palette stops from a list of colors (the
+ * palette format of older presets)
+ * @param {Array} colors - hex colors
+ * @returns {Array} - array of {color, position, alpha}
+ */
+export function stopsFromColors(colors) {
+  return colors.map((color, i) => ({
+    color,
+    position: colors.length > 1 ? i / (colors.length - 1) : 0,
+    alpha: 1,
+  }));
+}
+
+/**
+ * Get the palette stops in gradient order
+ * @returns {Array} - stops sorted by position
+ */
+function getSortedStops() {
+  return palette.stops
+    .map((stop, i) => ({ stop, i }))
+    .sort((a, b) => a.stop.position - b.stop.position || a.i - b.i)
+    .map(({ stop }) => stop);
+}
+
+/**
+ * Get a stop's color with its alpha applied
+ * @param {Object} stop - palette stop
+ * @returns {string} - hex color
+ */
+function getStopColor(stop) {
+  const color = parseColor(stop.color);
+  return formatColor({ ...color, a: color.a * stop.alpha });
+}
+
+/**
+ * Get the palette colors in gradient order, for modes stepping through
+ * the palette
+ * @returns {Array} - hex colors (with alpha when a stop isn't opaque)
+ */
+export function getPaletteColors() {
+  const colors = getSortedStops().map(getStopColor);
+  return colors.length > 0 ? colors : ['#000000'];
+}
+
+/**
+ * Sample the palette gradient. Stops keep their positions while a shift
+ * rotates colors among them. The cyclic gradient wraps the last stop back
+ * to the first and gives the seam one stop's share of the cycle.
+ * @param {number} t - gradient position (0-1)
+ * @param {Object} options - {cyclic, shift}
+ * @returns {string} - hex color
+ */
+export function samplePalette(t, { cyclic = false, shift = 0 } = {}) {
+  const stops = getSortedStops();
+  const n = stops.length;
+  if (n === 0) return '#000000';
+  const colorAt = i => getStopColor(stops[(((i + shift) % n) + n) % n]);
+  if (n === 1) return colorAt(0);
+  
+  const scale = cyclic ? (n - 1) / n : 1;
+  const positions = stops.map(stop => stop.position * scale);
+  
+  if (cyclic) {
+    t = t - Math.floor(t);
+    if (t < positions[0]) t += 1;
+    const last = positions[n - 1];
+    if (t >= last) {
+      const span = positions[0] + 1 - last;
+      return span > 0 ? mixColors(colorAt(n - 1), colorAt(0), (t - last) / span) : colorAt(0);
+    }
+  } else {
+    if (t <= positions[0]) return colorAt(0);
+    if (t >= positions[n - 1]) return colorAt(n - 1);
+  }
+  
+  let i = 0;
+  while (i < n - 2 && t >= positions[i + 1]) i++;
+  const span = positions[i + 1] - positions[i];
+  return span > 0 ? mixColors(colorAt(i), colorAt(i + 1), (t - positions[i]) / span) : colorAt(i + 1);
+}
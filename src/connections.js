@@ -0,0 +1,187 @@
+// ============================================================
+// Connections - Lines and curves between neighboring cells
+// ============================================================
+
+import { grid, connections } from './state.js';
+import { getFillColor, getCellAnchor, getMaskFactors } from './grid.js';
+import { sampleNoise } from './noise.js';
+import { toP5Color, toSVGPaint } from './colors.js';
+import { num } from './shapes/svg.js';
+
+/**
+ * Get the search radius of the neighborhood mode
+ * @returns {number} - radius in pixels
+ */
+function getSearchRadius() {
+  const s = grid.cellSize;
+  switch (connections.mode) {
+    case 'diagonal': return s * Math.SQRT2 * 1.05;
+    case 'radius': return s * connections.radius;
+    // k-nearest: candidates from a few rings of neighbors
+    case 'nearest': return s * (Math.sqrt(connections.k) + 1.5);
+    default: return s * 1.05;
+  }
+}
+
+/**
+ * Find the neighbor pairs of a cell list. Neighbors are found from the
+ * cells' positions, so copies made by symmetry connect like any other cell.
+ * @param {Array} cells - cells from getGridCells
+ * @returns {Array} - array of [a, b] cell pairs, a being nearer the center
+ */
+function findPairs(cells) {
+  const radius = getSearchRadius();
+  const bucketKey = (bx, by) => `${bx},${by}`;
+  
+  // Spatial hash with buckets the size of the search radius
+  const buckets = new Map();
+  cells.forEach((cell, i) => {
+    const key = bucketKey(Math.floor(cell.x / radius), Math.floor(cell.y / radius));
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(i);
+  });
+  
+  const seen = new Set();
+  const pairs = [];
+  cells.forEach((cell, i) => {
+    const bx = Math.floor(cell.x / radius);
+    const by = Math.floor(cell.y / radius);
+    let candidates = [];
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        for (const j of buckets.get(bucketKey(bx + dx, by + dy)) || []) {
+          const d = Math.hypot(cells[j].x - cell.x, cells[j].y - cell.y);
+          if (j !== i && d > 1e-6 && d <= radius) candidates.push({ j, d });
+        }
+      }
+    }
+    
+    if (connections.mode === 'nearest') {
+      candidates = candidates.sort((a, b) => a.d - b.d).slice(0, connections.k);
+    }
+    
+    for (const { j } of candidates) {
+      const key = i < j ? `${i}|${j}` : `${j}|${i}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      // Order each pair from the center outward, so curves bend the same
+      // way in every rotated copy
+      const other = cells[j];
+      const first = cell.dist < other.dist || (cell.dist === other.dist && i < j);
+      pairs.push(first ? [cell, other] : [other, cell]);
+    }
+  });
+  
+  return pairs;
+}
+
+/**
+ * Get a mapping factor for a connection from its two cells
+ * @param {string} map - none, distance, noise
+ * @param {Object} a - first cell
+ * @param {Object} b - second cell
+ * @param {number} time - animation time (0-1)
+ * @returns {number} - 0-1 (1 near the center for distance)
+ */
+function getMapFactor(map, a, b, time) {
+  switch (map) {
+    case 'distance':
+      return 1 - (a.dist + b.dist) / 2;
+    case 'noise':
+      // Sampled at the source positions, so symmetric copies match
+      return (sampleNoise(a.srcX, a.srcY, time) + sampleNoise(b.srcX, b.srcY, time)) / 2;
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Build the connection lines of a cell list
+ * @param {Array} cells - cells from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {Array} - array of {x1, y1, cx, cy, x2, y2, color, weight,
+ *   opacity}; (cx, cy) is the quadratic control point
+ */
+export function getConnections(cells, time = 0) {
+  if (!connections.enabled) return [];
+  
+  // Cells hidden by the mask image don't connect
+  const visible = cells.filter(cell => {
+    const f = getMaskFactors(cell.x, cell.y);
+    return f.scale > 0 && f.opacity > 0;
+  });
+  
+  const lines = [];
+  for (const [a, b] of findPairs(visible)) {
+    const weight = connections.weight * getMapFactor(connections.weightMap, a, b, time);
+    const opacity = connections.opacity * getMapFactor(connections.opacityMap, a, b, time);
+    if (weight <= 0 || opacity <= 0) continue;
+    
+    // Noise bends both ways; mirrored copies bend the mirrored way
+    let bend = getMapFactor(connections.curveMap, a, b, time);
+    if (connections.curveMap === 'noise') bend = bend * 2 - 1;
+    if (a.mirror) bend = -bend;
+    
+    const p1 = getCellAnchor(a, time);
+    const p2 = getCellAnchor(b, time);
+    const k = connections.curvature * bend;
+    lines.push({
+      x1: p1.x,
+      y1: p1.y,
+      cx: (p1.x + p2.x) / 2 - (p2.y - p1.y) * k,
+      cy: (p1.y + p2.y) / 2 + (p2.x - p1.x) * k,
+      x2: p2.x,
+      y2: p2.y,
+      color: connections.colorMode === 'cell' ? getFillColor(a, time) : connections.color,
+      weight,
+      opacity,
+    });
+  }
+  return lines;
+}
+
+/**
+ * Draw connection lines
+ * @param {p5} p - p5 instance
+ * @param {Array} lines - lines from getConnections
+ * @param {number} scale - scale factor (for exports)
+ */
+export function drawConnections(p, lines, scale = 1) {
+  p.push();
+  p.noFill();
+  p.strokeCap(p.ROUND);
+  const ctx = p.drawingContext;
+  
+  for (const l of lines) {
+    p.stroke(toP5Color(p, l.color, l.opacity));
+    p.strokeWeight(l.weight * scale);
+    
+    ctx.beginPath();
+    ctx.moveTo(l.x1 * scale, l.y1 * scale);
+    ctx.quadraticCurveTo(l.cx * scale, l.cy * scale, l.x2 * scale, l.y2 * scale);
+    ctx.stroke();
+  }
+  
+  p.pop();
+}
+
+/**
+ * Convert connection lines to an SVG group of paths
+ * @param {Array} lines - lines from getConnections
+ * @returns {string} - SVG group, empty without lines
+ */
+export function connectionsToSVG(lines) {
+  if (lines.length === 0) return '';
+  
+  let svg = `  <g id="connections" fill="none" stroke-linecap="round">\n`;
+  for (const l of lines) {
+    const straight = connections.curvature === 0;
+    const d = straight
+      ? `M${num(l.x1)} ${num(l.y1)}L${num(l.x2)} ${num(l.y2)}`
+      : `M${num(l.x1)} ${num(l.y1)}Q${num(l.cx)} ${num(l.cy)} ${num(l.x2)} ${num(l.y2)}`;
+    const { paint, opacity } = toSVGPaint(l.color, l.opacity);
+    svg += `    <path d="${d}" stroke="${paint}" stroke-width="${num(l.weight)}" stroke-opacity="${opacity}"/>\n`;
+  }
+  svg += `  </g>\n`;
+  return svg;
+}
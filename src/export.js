@@ -2,11 +2,25 @@
 // Export System - SVG, PNG, PNG Sequence, and VIDEO export
 // ============================================================
 
-import { canvas, animation, exportSettings, grid, shape, palette, customShape } from './state.js';
+import { canvas, animation, exportSettings, grid, shape, palette, morph, truchet, connections, lines, metaballs, voronoi } from './state.js';
 import { generateSVG } from './shapes/svg.js';
-import { getGridCells, getShapeSize, getShapeRotation, getFillColor, getStrokeColor } from './grid.js';
-import { drawShape } from './shapes/library.js';
-import { drawSVGPath } from './shapes/svg.js';
+import { generateMergedSVG } from './shapes/merge.js';
+import {
+  getGridCells, getShapeSize, getShapeRotation, getFillColor, getStrokeColor, getMaskFactors,
+  getCellShape, getMorphAmount, getNestedCopies, getShapeParams, getPositionOffset, getAnimationFactors,
+} from './grid.js';
+import { drawShape, drawContours } from './shapes/library.js';
+import { getMorphPoints } from './shapes/morph.js';
+import { offsetContours, getOffsetContours } from './shapes/offset.js';
+import { getTruchetTile, drawTruchetTile, generateTruchetSVG } from './shapes/truchet.js';
+import { drawCustomShape } from './shapes/svg.js';
+import { resolveShape } from './assets.js';
+import { getConnections, drawConnections, connectionsToSVG } from './connections.js';
+import { getLineRows, drawLines, generateLinesSVG } from './lines.js';
+import { getMetaballLevels, drawMetaballs, generateMetaballSVG } from './metaballs.js';
+import { getVoronoiPieces, drawVoronoi, generateVoronoiSVG } from './voronoi.js';
+import { toP5Color } from './colors.js';
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
 
 // Video recording state
 let mediaRecorder = null;
@@ -41,6 +55,9 @@ export async function exportComposition(p, frameCount = 0) {
       case 'sequence':
         await exportSequence(p);
         break;
+      case 'gif':
+        await exportGIF(p);
+        break;
       default:
         await exportPNG(p);
     }
@@ -60,29 +77,31 @@ export async function exportComposition(p, frameCount = 0) {
  * @param {p5} p - p5 instance
  */
 async function exportPNG(p) {
+  const pg = renderFrame(p, 0);
+  pg.save(`flake-export-${Date.now()}.png`);
+  pg.remove();
+}
+
+/**
+ * Render the composition off-screen at the export scale, without the
+ * preview's grid overlay and attractor handles
+ * @param {p5} p - p5 instance
+ * @param {number} time - animation time (0-1)
+ * @returns {p5.Graphics} - graphics buffer (remove it when done)
+ */
+function renderFrame(p, time) {
   const scale = exportSettings.scale;
-  const w = canvas.width * scale;
-  const h = canvas.height * scale;
-  
-  // Create offscreen graphics
-  const pg = p.createGraphics(w, h);
+  const pg = p.createGraphics(canvas.width * scale, canvas.height * scale);
   pg.pixelDensity(1);
-  
-  // Draw background
   pg.background(canvas.background);
   
-  // Draw grid at scaled size
+  // Draw all cells and their connections
   const cells = getGridCells();
-  const time = animation.enabled ? 0 : 0;
-  
-  for (let i = 0; i < cells.length; i++) {
-    const cell = cells[i];
-    drawCell(pg, cell, i, scale, time);
-  }
-  
-  // Save
-  pg.save(`flake-export-${Date.now()}.png`);
-  pg.remove();
+  const links = getConnections(cells, time);
+  if (!connections.above) drawConnections(pg, links, scale);
+  drawCells(pg, cells, scale, time);
+  if (connections.above) drawConnections(pg, links, scale);
+  return pg;
 }
 
 /**
@@ -92,34 +111,86 @@ async function exportPNG(p) {
 async function exportSVG(p) {
   const cells = getGridCells();
   const shapes = [];
+  const tiles = [];
   
-  for (let i = 0; i < cells.length; i++) {
-    const cell = cells[i];
-    const dist = cell.dist;
+  for (const cell of cells) {
+    const maskFactors = getMaskFactors(cell.x, cell.y);
+    const anim = getAnimationFactors(cell, 0);
     
-    const size = getShapeSize(dist, 0) * shape.size;
-    const rotation = getShapeRotation(dist, shape.rotation, 0);
-    const fill = getFillColor(dist, i, 0);
-    const stroke = getStrokeColor(dist, i);
+    const size = getShapeSize(cell, 0) * anim.size * maskFactors.scale;
+    const opacity = anim.opacity * maskFactors.opacity;
+    if (size <= 0 || opacity <= 0) continue;
     
-    shapes.push({
-      type: shape.type,
-      x: cell.x,
-      y: cell.y,
-      size: size,
-      rotation: rotation,
-      fill: fill,
-      stroke: stroke,
-      strokeWidth: shape.strokeMode !== 'none' ? shape.strokeWeight : 0,
-      opacity: shape.fillOpacity,
-    });
+    const rotation = getShapeRotation(cell, shape.rotation, 0) + anim.rotation;
+    const fill = getFillColor(cell, 0);
+    if (truchet.enabled) {
+      tiles.push({ x: cell.x, y: cell.y, tile: getTruchetTile(cell, 0), color: fill, opacity: shape.fillOpacity * opacity });
+      continue;
+    }
+    
+    const stroke = getStrokeColor(cell, 0);
+    const offset = getPositionOffset(cell, 0);
+    const params = getShapeParams(cell, 0);
+    const key = getCellShape(cell, 0);
+    const morphPoints = morph.enabled ? getMorphPoints(morph.from, morph.to, getMorphAmount(cell, 0), 1, params) : null;
+    
+    for (const copy of getNestedCopies(cell, fill)) {
+      // Morphed and offset outlines are written as unit-size contours
+      let contours = null;
+      if (morphPoints) {
+        contours = copy.offset ? offsetContours([morphPoints], copy.offset) : [morphPoints];
+      } else if (copy.offset) {
+        contours = getOffsetContours(key, params, copy.offset);
+      }
+      
+      shapes.push({
+        type: key,
+        x: cell.x,
+        y: cell.y,
+        size: size * copy.scale,
+        params,
+        contours,
+        rotation: rotation + copy.rotation,
+        cellRotation: cell.rotation,
+        mirror: cell.mirror,
+        offsetX: offset.x,
+        offsetY: offset.y,
+        fill: copy.fill,
+        stroke: stroke,
+        strokeWidth: shape.strokeMode !== 'none' ? shape.strokeWeight : 0,
+        opacity: shape.fillOpacity * opacity,
+      });
+    }
   }
   
-  const svgString = generateSVG(shapes, {
+  // Connection lines go under or over the shapes
+  const links = connectionsToSVG(getConnections(cells, 0));
+  const options = {
     width: canvas.width,
     height: canvas.height,
     background: canvas.background,
-  });
+    underlay: connections.above ? '' : links,
+    overlay: connections.above ? links : '',
+  };
+  let svgString;
+  if (lines.enabled) {
+    svgString = generateLinesSVG(getLineRows(cells, 0), options);
+  } else if (metaballs.enabled) {
+    svgString = generateMetaballSVG(getMetaballLevels(cells, 0), options);
+  } else if (voronoi.enabled) {
+    svgString = generateVoronoiSVG(getVoronoiPieces(cells, 0), options);
+  } else if (truchet.enabled) {
+    svgString = generateTruchetSVG(tiles, { ...options, lineWidth: truchet.lineWidth });
+  } else {
+    svgString = exportSettings.mergeOutlines
+      ? generateMergedSVG(shapes, {
+        ...options,
+        stencil: exportSettings.stencil,
+        minFeature: exportSettings.minFeature,
+        bridgeWidth: exportSettings.bridgeWidth,
+      })
+      : generateSVG(shapes, options);
+  }
   
   // Download
   const blob = new Blob([svgString], { type: 'image/svg+xml' });
@@ -142,26 +213,11 @@ async function exportSequence(p) {
   }
   
   const totalFrames = animation.loopDuration;
-  const scale = exportSettings.scale;
-  const w = canvas.width * scale;
-  const h = canvas.height * scale;
   
   exportSettings.status = `Exporting 0/${totalFrames}...`;
   
   for (let frame = 0; frame < totalFrames; frame++) {
-    const time = frame / totalFrames;
-    
-    // Create offscreen graphics
-    const pg = p.createGraphics(w, h);
-    pg.pixelDensity(1);
-    pg.background(canvas.background);
-    
-    // Draw all cells
-    const cells = getGridCells();
-    for (let i = 0; i < cells.length; i++) {
-      const cell = cells[i];
-      drawCell(pg, cell, i, scale, time);
-    }
+    const pg = renderFrame(p, frame / totalFrames);
     
     // Save frame
     const frameNum = frame.toString().padStart(4, '0');
@@ -178,6 +234,51 @@ async function exportSequence(p) {
   exportSettings.status = 'Sequence complete!';
 }
 
+/**
+ * Export one animation loop as an animated GIF, rendered off-screen at the
+ * export scale like the PNG sequence
+ * @param {p5} p - p5 instance
+ */
+async function exportGIF(p) {
+  if (!animation.enabled) {
+    alert('Enable animation first to export a GIF');
+    return;
+  }
+  
+  // As many frames as one loop takes in the preview, played at its rate
+  const totalFrames = Math.max(1, Math.round(animation.loopDuration / animation.speed));
+  const delay = 1000 / p.getTargetFrameRate();
+  const gif = GIFEncoder();
+  
+  exportSettings.status = `Encoding 0/${totalFrames}...`;
+  
+  for (let frame = 0; frame < totalFrames; frame++) {
+    const pg = renderFrame(p, frame / totalFrames);
+    pg.loadPixels();
+    
+    // Each frame gets its own 256-color palette
+    const colors = quantize(pg.pixels, 256);
+    gif.writeFrame(applyPalette(pg.pixels, colors), pg.width, pg.height, { palette: colors, delay });
+    pg.remove();
+    
+    exportSettings.status = `Encoding ${frame + 1}/${totalFrames}...`;
+    
+    // Small delay to prevent freezing
+    await new Promise(r => setTimeout(r, 10));
+  }
+  
+  gif.finish();
+  
+  // Download
+  const blob = new Blob([gif.bytes()], { type: 'image/gif' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `flake-animation-${Date.now()}.gif`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Export WebM video using MediaRecorder API
  * @param {p5} p - p5 instance
@@ -259,36 +360,56 @@ export function getIsRecording() {
   return isRecording;
 }
 
+/**
+ * Draw all cells, or their line rows, blobs or tessellation in those modes
+ * @param {p5.Graphics} pg - graphics buffer
+ * @param {Array} cells - cells from getGridCells
+ * @param {number} scale - scale factor
+ * @param {number} time - animation time
+ */
+function drawCells(pg, cells, scale, time) {
+  if (lines.enabled) {
+    drawLines(pg, getLineRows(cells, time), scale);
+    return;
+  }
+  if (metaballs.enabled) {
+    drawMetaballs(pg, getMetaballLevels(cells, time), scale);
+    return;
+  }
+  if (voronoi.enabled) {
+    drawVoronoi(pg, getVoronoiPieces(cells, time), scale);
+    return;
+  }
+  for (const cell of cells) {
+    drawCell(pg, cell, scale, time);
+  }
+}
+
 /**
  * Draw a single cell
  * @param {p5.Graphics} pg - graphics buffer
  * @param {Object} cell - cell data
- * @param {number} index - cell index
  * @param {number} scale - scale factor
  * @param {number} time - animation time
  */
-function drawCell(pg, cell, index, scale, time) {
+function drawCell(pg, cell, scale, time) {
   const x = cell.x * scale;
   const y = cell.y * scale;
-  const dist = cell.dist;
   
   // Apply animation
-  let size = getShapeSize(dist, time) * scale;
-  let rotation = getShapeRotation(dist, shape.rotation, time);
+  const anim = getAnimationFactors(cell, time);
+  let size = getShapeSize(cell, time) * scale * anim.size;
+  const rotation = getShapeRotation(cell, shape.rotation, time) + anim.rotation;
   
-  if (animation.enabled) {
-    if (animation.animateSize) {
-      const noise = Math.sin(time * Math.PI * 2 + index * 0.1) * 0.5 + 0.5;
-      size *= 0.7 + noise * 0.6;
-    }
-    if (animation.animateRotation) {
-      rotation += time * 360;
-    }
-  }
+  // Apply mask image (sampled in unscaled canvas coordinates)
+  const maskFactors = getMaskFactors(cell.x, cell.y);
+  size *= maskFactors.scale;
+  const opacity = anim.opacity * maskFactors.opacity;
+  if (size <= 0 || opacity <= 0) return;
   
   // Get colors
-  const fill = getFillColor(dist, index, time);
-  const stroke = getStrokeColor(dist, index);
+  const fill = getFillColor(cell, time);
+  const stroke = getStrokeColor(cell, time);
   
   // Apply blend mode
   const blendMode = shape.blendMode;
@@ -296,28 +417,65 @@ function drawCell(pg, cell, index, scale, time) {
     pg.blendMode(pg[blendMode.toUpperCase()] || pg.BLEND);
   }
   
-  // Set styles
-  const c = pg.color(fill);
-  c.setAlpha(shape.fillOpacity * 255);
-  pg.fill(c);
+  if (truchet.enabled) {
+    // A lattice tile replaces the centered shape
+    const tileColor = toP5Color(pg, fill, shape.fillOpacity * opacity);
+    drawTruchetTile(pg, x, y, scale, getTruchetTile(cell, time), tileColor, truchet.lineWidth * scale);
+    pg.blendMode(pg.BLEND);
+    return;
+  }
   
+  // Set stroke
   if (stroke && shape.strokeMode !== 'none') {
-    const s = pg.color(stroke);
-    s.setAlpha(shape.strokeOpacity * 255);
-    pg.stroke(s);
+    pg.stroke(toP5Color(pg, stroke, shape.strokeOpacity * opacity));
     pg.strokeWeight(shape.strokeWeight * scale);
   } else {
     pg.noStroke();
   }
   
-  // Draw shape
-  if (shape.type === 'custom' && customShape.paths.length > 0) {
-    // Draw custom SVG
-    const path = customShape.paths[0]; // Use first path
-    drawSVGPath(pg, path, x, y, size, customShape.bounds, rotation);
-  } else {
-    drawShape(pg, shape.type, x, y, size, rotation);
+  // Draw shape in the cell's symmetry frame
+  const offset = getPositionOffset(cell, time);
+  const ox = offset.x * scale;
+  const oy = offset.y * scale;
+  pg.push();
+  pg.translate(x, y);
+  pg.rotate(pg.radians(cell.rotation));
+  if (cell.mirror) pg.scale(1, -1);
+  
+  const key = getCellShape(cell, time);
+  const { type, asset } = resolveShape(key);
+  const params = getShapeParams(cell, time);
+  
+  // One pass per nested copy (just the shape without nesting)
+  for (const copy of getNestedCopies(cell, fill)) {
+    const copySize = size * copy.scale;
+    const copyRotation = rotation + copy.rotation;
+    
+    // Set fill
+    pg.fill(toP5Color(pg, copy.fill, shape.fillOpacity * opacity));
+    
+    if (morph.enabled) {
+      // Outline interpolated between the two morph shapes
+      const points = getMorphPoints(morph.from, morph.to, getMorphAmount(cell, time), 1, params);
+      const contours = copy.offset ? offsetContours([points], copy.offset) : [points];
+      drawContours(pg, ox, oy, copySize, copyRotation, contours);
+    } else if (copy.offset) {
+      // Inset/outset copy of the shape's outline
+      drawContours(pg, ox, oy, copySize, copyRotation, getOffsetContours(key, params, copy.offset));
+    } else if (asset) {
+      // Draw every path of the SVG shape
+      drawCustomShape(pg, asset, ox, oy, copySize, copyRotation, {
+        fill: copy.fill,
+        stroke: shape.strokeMode !== 'none' ? stroke : null,
+        fillOpacity: shape.fillOpacity * opacity,
+        strokeOpacity: shape.strokeOpacity * opacity,
+        strokeWeight: shape.strokeWeight * scale,
+      });
+    } else if (type !== 'glyph') {
+      drawShape(pg, type, ox, oy, copySize, copyRotation, params);
+    }
   }
+  pg.pop();
   
   // Reset blend mode
   pg.blendMode(pg.BLEND);
@@ -0,0 +1,286 @@
+// ============================================================
+// Distance Fields - Attractors driving distance-based mappings
+// ============================================================
+
+import { canvas, field, easings } from './state.js';
+import { getCurrentAsset } from './assets.js';
+
+/**
+ * Get the length unit attractor sizes are measured in
+ * (positions are fractions of the canvas width/height)
+ * @returns {number} - pixels per unit
+ */
+function getUnit() {
+  return Math.min(canvas.width, canvas.height);
+}
+
+/**
+ * Create a new attractor with defaults for its type
+ * @param {string} type - point, segment, ring, box, svg
+ * @returns {Object} - attractor data
+ */
+export function createAttractor(type) {
+  const attractor = {
+    type,
+    x: 0.5,
+    y: 0.5,
+    falloff: 'linear',
+    range: 0.7,
+    weight: 1,
+    combine: 'min',
+  };
+  
+  switch (type) {
+    case 'segment':
+      attractor.x = 0.25;
+      attractor.x2 = 0.75;
+      attractor.y2 = 0.5;
+      break;
+    case 'ring':
+      attractor.radius = 0.3;
+      break;
+    case 'box':
+      attractor.width = 0.4;
+      attractor.height = 0.4;
+      break;
+    case 'svg': {
+      const asset = getCurrentAsset();
+      attractor.size = 0.5;
+      attractor.rotation = 0;
+      attractor.name = asset ? asset.name : '';
+      attractor.outline = asset ? asset.outline : [];
+      break;
+    }
+  }
+  
+  return attractor;
+}
+
+/**
+ * Distance from a point to a line segment
+ * @param {number} px - point x
+ * @param {number} py - point y
+ * @param {number} ax - segment start x
+ * @param {number} ay - segment start y
+ * @param {number} bx - segment end x
+ * @param {number} by - segment end y
+ * @returns {number} - distance
+ */
+function segmentDistance(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+  return Math.hypot(px - (ax + dx * t), py - (ay + dy * t));
+}
+
+/**
+ * Get the distance from a point to an attractor's geometry
+ * @param {Object} a - attractor
+ * @param {number} x - x position in pixels
+ * @param {number} y - y position in pixels
+ * @returns {number} - distance in pixels
+ */
+export function getAttractorDistance(a, x, y) {
+  const unit = getUnit();
+  const ax = a.x * canvas.width;
+  const ay = a.y * canvas.height;
+  
+  switch (a.type) {
+    case 'segment':
+      return segmentDistance(x, y, ax, ay, a.x2 * canvas.width, a.y2 * canvas.height);
+      
+    case 'ring':
+      return Math.abs(Math.hypot(x - ax, y - ay) - a.radius * unit);
+      
+    case 'box': {
+      // Filled box: zero inside
+      const qx = Math.abs(x - ax) - (a.width * unit) / 2;
+      const qy = Math.abs(y - ay) - (a.height * unit) / 2;
+      return Math.hypot(Math.max(qx, 0), Math.max(qy, 0));
+    }
+    
+    case 'svg': {
+      if (!a.outline || a.outline.length === 0) return Math.hypot(x - ax, y - ay);
+      
+      // Move the point into the outline's unit space
+      const scale = a.size * unit;
+      const rad = (-a.rotation * Math.PI) / 180;
+      const dx = x - ax;
+      const dy = y - ay;
+      const lx = (dx * Math.cos(rad) - dy * Math.sin(rad)) / scale;
+      const ly = (dx * Math.sin(rad) + dy * Math.cos(rad)) / scale;
+      
+      let best = Infinity;
+      for (const line of a.outline) {
+        for (let i = 1; i < line.length; i++) {
+          best = Math.min(best, segmentDistance(lx, ly, line[i - 1].x, line[i - 1].y, line[i].x, line[i].y));
+        }
+      }
+      return best * scale;
+    }
+    
+    default:
+      return Math.hypot(x - ax, y - ay);
+  }
+}
+
+/**
+ * Polynomial smooth minimum
+ * @param {number} a - first value
+ * @param {number} b - second value
+ * @param {number} k - smoothing radius
+ * @returns {number}
+ */
+function smoothMin(a, b, k) {
+  if (k <= 0) return Math.min(a, b);
+  const h = Math.max(k - Math.abs(a - b), 0) / k;
+  return Math.min(a, b) - (h * h * k) / 4;
+}
+
+/**
+ * Get the combined normalized distance of all attractors at a point.
+ * Each attractor's distance is divided by its range, shaped by its falloff
+ * and scaled by its weight, then merged into the running field in order.
+ * @param {number} x - x position in pixels
+ * @param {number} y - y position in pixels
+ * @returns {number} - normalized distance (0 at an attractor, 1 far away)
+ */
+export function getFieldDistance(x, y) {
+  const unit = getUnit();
+  let d = 1;
+  
+  for (const a of field.attractors) {
+    const t = Math.min(getAttractorDistance(a, x, y) / Math.max(a.range * unit, 1e-6), 1);
+    const ease = easings[a.falloff] || easings.linear;
+    const influence = (1 - ease(t)) * a.weight;
+    
+    switch (a.combine) {
+      case 'smoothMin': d = smoothMin(d, 1 - influence, field.smoothness); break;
+      case 'add': d -= influence; break;
+      case 'subtract': d += influence; break;
+      default: d = Math.min(d, 1 - influence);
+    }
+  }
+  
+  return Math.min(Math.max(d, 0), 1);
+}
+
+/**
+ * Check if the attractor field should replace the center distance
+ * @returns {boolean}
+ */
+export function isFieldActive() {
+  return field.enabled && field.attractors.length > 0;
+}
+
+/**
+ * Get the draggable handles of an attractor
+ * @param {Object} a - attractor
+ * @returns {Array} - array of {key, x, y} in pixels
+ */
+export function getAttractorHandles(a) {
+  const handles = [{ key: 'center', x: a.x * canvas.width, y: a.y * canvas.height }];
+  if (a.type === 'segment') {
+    handles.push({ key: 'end', x: a.x2 * canvas.width, y: a.y2 * canvas.height });
+  }
+  return handles;
+}
+
+/**
+ * Move an attractor handle to a canvas position
+ * @param {Object} a - attractor
+ * @param {string} key - handle key from getAttractorHandles
+ * @param {number} x - x position in pixels
+ * @param {number} y - y position in pixels
+ */
+export function moveAttractorHandle(a, key, x, y) {
+  const u = Math.min(Math.max(x / canvas.width, 0), 1);
+  const v = Math.min(Math.max(y / canvas.height, 0), 1);
+  if (key === 'end') {
+    a.x2 = u;
+    a.y2 = v;
+  } else {
+    a.x = u;
+    a.y = v;
+  }
+}
+
+/**
+ * Find the attractor handle under a canvas position
+ * @param {number} x - x position in pixels
+ * @param {number} y - y position in pixels
+ * @param {number} radius - hit radius in pixels
+ * @returns {Object|null} - {attractor, key}
+ */
+export function findAttractorHandle(x, y, radius = 10) {
+  // Last drawn handle wins
+  for (let i = field.attractors.length - 1; i >= 0; i--) {
+    const a = field.attractors[i];
+    for (const handle of getAttractorHandles(a)) {
+      if (Math.hypot(handle.x - x, handle.y - y) <= radius) {
+        return { attractor: a, key: handle.key };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Draw attractor guides and handles (preview only)
+ * @param {p5} p - p5 instance
+ */
+export function drawAttractors(p) {
+  const unit = getUnit();
+  
+  p.push();
+  p.noFill();
+  p.strokeWeight(1);
+  
+  for (const a of field.attractors) {
+    const ax = a.x * canvas.width;
+    const ay = a.y * canvas.height;
+    p.stroke(255, 255, 255, 140);
+    
+    switch (a.type) {
+      case 'segment':
+        p.line(ax, ay, a.x2 * canvas.width, a.y2 * canvas.height);
+        break;
+      case 'ring':
+        p.ellipse(ax, ay, a.radius * unit * 2, a.radius * unit * 2);
+        break;
+      case 'box':
+        p.rectMode(p.CENTER);
+        p.rect(ax, ay, a.width * unit, a.height * unit);
+        break;
+      case 'svg': {
+        p.push();
+        p.translate(ax, ay);
+        p.rotate(p.radians(a.rotation));
+        p.scale(a.size * unit);
+        p.strokeWeight(1 / (a.size * unit));
+        for (const line of a.outline || []) {
+          p.beginShape();
+          line.forEach(pt => p.vertex(pt.x, pt.y));
+          p.endShape();
+        }
+        p.pop();
+        break;
+      }
+    }
+    
+    // Range indicator
+    p.stroke(255, 255, 255, 40);
+    p.ellipse(ax, ay, a.range * unit * 2, a.range * unit * 2);
+    
+    // Handles
+    for (const handle of getAttractorHandles(a)) {
+      p.stroke('#ffffff');
+      p.fill('#ff3366');
+      p.ellipse(handle.x, handle.y, 10, 10);
+      p.noFill();
+    }
+  }
+  
+  p.pop();
+}
@@ -2,36 +2,185 @@
 // Grid System - Distance-based pattern generation
 // ============================================================
 
-import { grid, shape, canvas, calculateScale, calculateRotation, palette, pattern, mask } from './state.js';
-import { createNoise2D, createNoise3D } from 'simplex-noise';
+import {
+  grid, shape, canvas, calculateScale, calculateRotation, calculateParamMix,
+  pattern, mask, animation, shapeSet, morph, glyph, nesting, truchet, easings,
+} from './state.js';
+import { applySymmetry } from './symmetry.js';
+import { isFieldActive, getFieldDistance } from './fields.js';
+import { sampleNoise, sampleNoiseVector, createRandom } from './noise.js';
+import { getPaletteColors, samplePalette, shiftHue } from './colors.js';
 
-// Initialize noise
-const noise2D = createNoise2D();
-const noise3D = createNoise3D();
+const SQRT3 = Math.sqrt(3);
+
+/**
+ * Get the unscaled extent of the layout (before offsets)
+ * Hex lattices use flat-top hexagons with circumradius cellSize / 2 so
+ * that shapes at size 1 tile edge-to-edge; triangular lattices pack
+ * points cellSize apart in offset rows. Polar layouts are square.
+ * @returns {Object} - {width, height}
+ */
+export function getLayoutSize() {
+  const s = grid.cellSize;
+  const rowStep = (SQRT3 / 2) * s;
+  
+  if (grid.layout !== 'grid') {
+    const diameter = getPolarRadius() * 2 + s;
+    return { width: diameter, height: diameter };
+  }
+  
+  switch (grid.lattice) {
+    case 'hex':
+      return {
+        width: (grid.cols - 1) * s * 0.75 + s,
+        height: grid.rows * rowStep + (grid.cols > 1 ? rowStep / 2 : 0),
+      };
+    case 'triangle':
+      return {
+        width: grid.cols * s + (grid.rows > 1 ? s / 2 : 0),
+        height: (grid.rows - 1) * rowStep + s,
+      };
+    case 'brick':
+      return {
+        width: grid.cols * s + (grid.rows > 1 ? s / 2 : 0),
+        height: grid.rows * s,
+      };
+    case 'halfdrop':
+      return {
+        width: grid.cols * s,
+        height: grid.rows * s + (grid.cols > 1 ? s / 2 : 0),
+      };
+    default:
+      return {
+        width: grid.cols * s,
+        height: grid.rows * s,
+      };
+  }
+}
+
+/**
+ * Get the phyllotaxis spiral constant so each point covers about one cell
+ * @returns {number} - spiral constant (r = c * sqrt(n))
+ */
+function getSpiralConstant() {
+  return grid.cellSize / Math.sqrt(Math.PI);
+}
+
+/**
+ * Get the radius of the outermost ring or spiral point
+ * @returns {number} - radius in pixels
+ */
+export function getPolarRadius() {
+  if (grid.layout === 'rings') return grid.ringCount * grid.cellSize;
+  if (grid.layout === 'phyllotaxis') {
+    return getSpiralConstant() * Math.sqrt(Math.max(grid.spiralCount - 1, 0));
+  }
+  return 0;
+}
+
+/**
+ * Get the center position of a lattice cell
+ * @param {number} col - column index
+ * @param {number} row - row index
+ * @returns {Object} - {x, y}
+ */
+export function getCellPosition(col, row) {
+  const s = grid.cellSize;
+  const rowStep = (SQRT3 / 2) * s;
+  let x, y;
+  
+  switch (grid.lattice) {
+    case 'hex':
+      x = col * s * 0.75 + s / 2;
+      y = row * rowStep + rowStep / 2 + (col % 2 === 1 ? rowStep / 2 : 0);
+      break;
+    case 'triangle':
+      x = col * s + s / 2 + (row % 2 === 1 ? s / 2 : 0);
+      y = row * rowStep + s / 2;
+      break;
+    case 'brick':
+      x = col * s + s / 2 + (row % 2 === 1 ? s / 2 : 0);
+      y = row * s + s / 2;
+      break;
+    case 'halfdrop':
+      x = col * s + s / 2;
+      y = row * s + s / 2 + (col % 2 === 1 ? s / 2 : 0);
+      break;
+    default:
+      x = col * s + s / 2;
+      y = row * s + s / 2;
+  }
+  
+  return { x: x + grid.offsetX, y: y + grid.offsetY };
+}
+
+/**
+ * Get the outline of the lattice cell around a center point
+ * (the region of the plane closest to that lattice point)
+ * @param {number} x - cell center x
+ * @param {number} y - cell center y
+ * @returns {Array} - array of {x, y} vertices
+ */
+export function getCellOutline(x, y) {
+  const s = grid.cellSize;
+  
+  switch (grid.lattice) {
+    case 'hex':
+    case 'triangle': {
+      // Flat-top hexagon for hex lattices, pointy-top for triangular ones
+      const r = grid.lattice === 'hex' ? s / 2 : s / SQRT3;
+      const start = grid.lattice === 'hex' ? 0 : Math.PI / 6;
+      const points = [];
+      for (let i = 0; i < 6; i++) {
+        const angle = start + (Math.PI / 3) * i;
+        points.push({ x: x + Math.cos(angle) * r, y: y + Math.sin(angle) * r });
+      }
+      return points;
+    }
+    default: {
+      const h = s / 2;
+      return [
+        { x: x - h, y: y - h },
+        { x: x + h, y: y - h },
+        { x: x + h, y: y + h },
+        { x: x - h, y: y + h },
+      ];
+    }
+  }
+}
 
 /**
  * Calculate the center point of the grid
  * @returns {Object} - {x, y}
  */
 export function getGridCenter() {
+  const size = getLayoutSize();
   return {
-    x: (grid.cols * grid.cellSize) / 2 + grid.offsetX,
-    y: (grid.rows * grid.cellSize) / 2 + grid.offsetY,
+    x: size.width / 2 + grid.offsetX,
+    y: size.height / 2 + grid.offsetY,
   };
 }
 
 /**
- * Calculate distance from a point to the grid center
+ * Calculate distance from a point to the grid center, or to the
+ * attractor field when one is enabled
  * @param {number} x - point x
  * @param {number} y - point y
  * @returns {number} - normalized distance (0-1)
  */
 export function getNormalizedDistance(x, y) {
+  if (isFieldActive()) return getFieldDistance(x, y);
+  
   const center = getGridCenter();
-  const maxDist = Math.sqrt(
-    Math.pow(grid.cols * grid.cellSize / 2, 2) +
-    Math.pow(grid.rows * grid.cellSize / 2, 2)
-  );
+  const size = getLayoutSize();
+  
+  // Polar layouts normalize to the outermost ring, grids to the corners
+  const maxDist = grid.layout !== 'grid'
+    ? Math.max(getPolarRadius(), grid.cellSize / 2)
+    : Math.sqrt(
+      Math.pow(size.width / 2, 2) +
+      Math.pow(size.height / 2, 2)
+    );
   
   const dist = Math.sqrt(
     Math.pow(x - center.x, 2) +
@@ -43,132 +192,118 @@ export function getNormalizedDistance(x, y) {
 
 /**
  * Get all cell positions for the grid considering symmetry
- * @returns {Array} - array of cell data: {x, y, col, row, dist, isOriginal}
+ * @returns {Array} - array of cell data: {x, y, col, row, index, dist, rotation, mirror, isOriginal}
  */
 export function getGridCells() {
-  const cells = [];
   const center = getGridCenter();
+  const baseCells = getLayoutCells(center).map(cell => ({
+    ...cell,
+    srcX: cell.x,
+    srcY: cell.y,
+    dist: getNormalizedDistance(cell.x, cell.y),
+  }));
   
-  for (let row = 0; row < grid.rows; row++) {
-    for (let col = 0; col < grid.cols; col++) {
-      const x = col * grid.cellSize + grid.cellSize / 2 + grid.offsetX;
-      const y = row * grid.cellSize + grid.cellSize / 2 + grid.offsetY;
-      const dist = getNormalizedDistance(x, y);
-      
-      // Check if this cell should be rendered (based on symmetry)
-      const cellData = applySymmetry(x, y, col, row, dist, center);
-      cells.push(...cellData);
+  // Copies carry the source cell's data (including its position as srcX/srcY,
+  // used for position-based lookups) plus their rotation/mirror transform
+  return applySymmetry(baseCells, center);
+}
+
+/**
+ * Generate the base (pre-symmetry) cell centers for the current layout
+ * @param {Object} center - grid center
+ * @returns {Array} - array of {x, y, col, row, index, ring?, angle?}
+ */
+function getLayoutCells(center) {
+  switch (grid.layout) {
+    case 'rings':
+      return getRingCells(center);
+    case 'phyllotaxis':
+      return getSpiralCells(center);
+    default: {
+      const cells = [];
+      for (let row = 0; row < grid.rows; row++) {
+        for (let col = 0; col < grid.cols; col++) {
+          const { x, y } = getCellPosition(col, row);
+          cells.push({ x, y, col, row, index: cells.length });
+        }
+      }
+      return cells;
     }
   }
-  
-  return cells;
 }
 
 /**
- * Apply symmetry transformations to a cell
- * @param {number} x - original x
- * @param {number} y - original y
- * @param {number} col - column index
- * @param {number} row - row index
- * @param {number} dist - normalized distance
+ * Generate concentric ring cells, one at the center plus ringCount rings
+ * spaced one cell apart. Items per ring are constant or grow with radius.
  * @param {Object} center - grid center
- * @returns {Array} - array of cell positions
+ * @returns {Array} - cells with ring index (row), item index (col) and angle
  */
-function applySymmetry(x, y, col, row, dist, center) {
-  const cells = [{ x, y, col, row, dist, isOriginal: true }];
+function getRingCells(center) {
+  const cells = [{ x: center.x, y: center.y, col: 0, row: 0, index: 0, ring: 0, angle: 0 }];
   
-  switch (grid.symmetry) {
-    case 'horizontal':
-      cells.push({
-        x: center.x * 2 - x,
-        y: y,
-        col: grid.cols - 1 - col,
-        row,
-        dist,
-        isOriginal: false,
-      });
-      break;
-      
-    case 'vertical':
-      cells.push({
-        x: x,
-        y: center.y * 2 - y,
-        col,
-        row: grid.rows - 1 - row,
-        dist,
-        isOriginal: false,
-      });
-      break;
-      
-    case 'both':
-      // Mirror horizontally
+  for (let ring = 1; ring <= grid.ringCount; ring++) {
+    const radius = ring * grid.cellSize;
+    const count = grid.ringGrowth === 'radius' ? grid.ringItems * ring : grid.ringItems;
+    
+    for (let i = 0; i < count; i++) {
+      const angle = (360 * i) / count;
+      const rad = (angle * Math.PI) / 180;
       cells.push({
-        x: center.x * 2 - x,
-        y: y,
-        col: grid.cols - 1 - col,
-        row,
-        dist,
-        isOriginal: false,
+        x: center.x + Math.cos(rad) * radius,
+        y: center.y + Math.sin(rad) * radius,
+        col: i,
+        row: ring,
+        index: cells.length,
+        ring,
+        angle,
       });
-      // Mirror vertically
-      cells.push({
-        x: x,
-        y: center.y * 2 - y,
-        col,
-        row: grid.rows - 1 - row,
-        dist,
-        isOriginal: false,
-      });
-      // Mirror both
-      cells.push({
-        x: center.x * 2 - x,
-        y: center.y * 2 - y,
-        col: grid.cols - 1 - col,
-        row: grid.rows - 1 - row,
-        dist,
-        isOriginal: false,
-      });
-      break;
-      
-    case 'radial':
-      // Create radial symmetry around center
-      const dx = x - center.x;
-      const dy = y - center.y;
-      const baseAngle = Math.atan2(dy, dx);
-      const radius = Math.sqrt(dx * dx + dy * dy);
-      
-      for (let i = 1; i < grid.symmetryCount; i++) {
-        const angle = baseAngle + (Math.PI * 2 * i) / grid.symmetryCount;
-        cells.push({
-          x: center.x + Math.cos(angle) * radius,
-          y: center.y + Math.sin(angle) * radius,
-          col,
-          row,
-          dist,
-          isOriginal: false,
-          rotation: (360 * i) / grid.symmetryCount,
-        });
-      }
-      break;
+    }
   }
   
   return cells;
 }
 
 /**
- * Calculate the actual size for a shape at a given distance
- * @param {number} dist - normalized distance (0-1)
+ * Generate a Fermat spiral (r = c * sqrt(n)) turned by the divergence angle
+ * @param {Object} center - grid center
+ * @returns {Array} - cells with spiral index (col), radius band (ring) and angle
+ */
+function getSpiralCells(center) {
+  const cells = [];
+  const c = getSpiralConstant();
+  
+  for (let n = 0; n < grid.spiralCount; n++) {
+    const radius = c * Math.sqrt(n);
+    const angle = (n * grid.spiralAngle) % 360;
+    const rad = (angle * Math.PI) / 180;
+    cells.push({
+      x: center.x + Math.cos(rad) * radius,
+      y: center.y + Math.sin(rad) * radius,
+      col: n,
+      row: 0,
+      index: n,
+      ring: Math.round(radius / grid.cellSize),
+      angle,
+    });
+  }
+  
+  return cells;
+}
+
+/**
+ * Calculate the actual size for a shape in a cell
+ * @param {Object} cell - cell data from getGridCells
  * @param {number} time - animation time (0-1)
  * @returns {number} - actual size
  */
-export function getShapeSize(dist, time = 0) {
+export function getShapeSize(cell, time = 0) {
   const baseSize = grid.cellSize * shape.size;
-  let scale = calculateScale(dist);
+  let scale = calculateScale(cell.dist);
   
-  // Apply pattern noise
-  if (pattern.enabled) {
-    const noiseVal = getNoiseValue(dist, time);
-    scale *= 0.5 + noiseVal * 0.5;
+  // Apply pattern noise, centered so intensity 0 leaves the size unchanged
+  if (pattern.enabled && pattern.noiseToSize) {
+    const noiseVal = getNoiseValue(cell.srcX, cell.srcY, time);
+    scale *= Math.max(0, 1 + (noiseVal * 2 - 1) * pattern.noiseIntensity);
   }
   
   return baseSize * scale;
@@ -176,147 +311,705 @@ export function getShapeSize(dist, time = 0) {
 
 /**
  * Calculate the rotation for a shape
- * @param {number} dist - normalized distance
+ * @param {Object} cell - cell data from getGridCells
  * @param {number} baseRotation - base rotation
  * @param {number} time - animation time
  * @returns {number} - final rotation
  */
-export function getShapeRotation(dist, baseRotation, time = 0) {
-  let rotation = calculateRotation(dist, baseRotation);
+export function getShapeRotation(cell, baseRotation, time = 0) {
+  let rotation = calculateRotation(cell.dist, baseRotation);
   
   if (shape.rotationAuto) {
     rotation += time * 360 * shape.rotationSpeed;
   }
   
+  // Curl noise maps to its flow direction at full amount
+  if (pattern.enabled && pattern.noiseToRotation) {
+    const noiseVal = getNoiseValue(cell.srcX, cell.srcY, time);
+    rotation += (noiseVal * 2 - 1) * pattern.noiseRotation;
+  }
+  
   return rotation;
 }
 
 /**
- * Get noise value for a position
- * @param {number} dist - normalized distance
- * @param {number} time - time value
- * @returns {number} - noise value (0-1)
+ * Get the shape key drawn in a cell. With a shape set enabled, the cell
+ * picks an entry of the set by the selected rule. Glyphs resolve to the
+ * cell's character.
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {string} - shape key (built-in type, 'custom', 'svg:<id>' or 'glyph:<char>')
  */
-export function getNoiseValue(dist, time = 0) {
-  if (!pattern.enabled) return 0.5;
+export function getCellShape(cell, time = 0) {
+  const key = pickShapeKey(cell, time);
+  return key === 'glyph' ? `glyph:${getCellGlyph(cell)}` : key;
+}
+
+/**
+ * Pick the cell's entry of the shape set (or the single shape type)
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {string} - shape key
+ */
+function pickShapeKey(cell, time) {
+  const keys = shapeSet.shapes;
+  const n = keys.length;
+  if (!shapeSet.enabled || n === 0) return shape.type;
+  
+  let i;
+  switch (shapeSet.rule) {
+    case 'distance':
+      // Equal distance bands, center band first
+      i = Math.min(Math.floor(cell.dist * n), n - 1);
+      break;
+    case 'noise':
+      i = Math.min(Math.floor(sampleNoise(cell.srcX, cell.srcY, time) * n), n - 1);
+      break;
+    case 'palette':
+      i = cell.index;
+      break;
+    case 'checker':
+      i = cell.col + cell.row;
+      break;
+    default:
+      i = Math.floor(getCellRandom(cell, 2)() * n);
+  }
+  
+  return keys[((i % n) + n) % n];
+}
+
+/**
+ * Get the character a glyph cell draws. Brightness picks along the text
+ * from dark to bright using the mask image (whether or not the mask is
+ * enabled), so a ramp like ' .:-=+*#%@' turns the image into ASCII art.
+ * @param {Object} cell - cell data from getGridCells
+ * @returns {string} - character
+ */
+export function getCellGlyph(cell) {
+  const chars = Array.from(glyph.text);
+  const n = chars.length;
+  if (n === 0) return ' ';
+  
+  let i;
+  switch (glyph.select) {
+    case 'distance':
+      i = Math.min(Math.floor(cell.dist * n), n - 1);
+      break;
+    case 'brightness': {
+      const brightness = mask.image ? sampleMaskBrightness(cell.x, cell.y, grid.cellSize) : null;
+      const b = brightness === null ? 1 : mask.brightnessInvert ? 1 - brightness : brightness;
+      i = Math.min(Math.floor(b * n), n - 1);
+      break;
+    }
+    default:
+      i = cell.index;
+  }
+  
+  return chars[((i % n) + n) % n];
+}
+
+/**
+ * Get the nested copies a cell draws, outermost first. Without nesting this
+ * is just the shape itself. Palette colors step on from the cell's fill
+ * (or from the cell index when the fill is a blended color).
+ * @param {Object} cell - cell data from getGridCells
+ * @param {string} fill - cell fill color
+ * @returns {Array} - array of {scale, offset, rotation, fill}: scale
+ *   multiplies the shape size, offset moves the outline in units of the
+ *   shape size (negative insets), rotation is added in degrees
+ */
+export function getNestedCopies(cell, fill) {
+  if (!nesting.enabled) return [{ scale: 1, offset: 0, rotation: 0, fill }];
+  
+  const colors = getPaletteColors();
+  const n = colors.length;
+  const found = colors.indexOf(fill);
+  const base = found >= 0 ? found : cell.index;
+  const colorAt = i => colors[(((base + i) % n) + n) % n];
+  
+  const copies = [];
+  for (let k = 0; k <= nesting.copies; k++) {
+    const scale = 1 - k * nesting.scaleStep;
+    if (scale <= 0) break;
+    
+    let copyFill = fill;
+    if (nesting.colors === 'palette') copyFill = colorAt(k);
+    else if (nesting.colors === 'alternate' && k % 2 === 1) copyFill = colorAt(1);
+    
+    copies.push({ scale, offset: -k * nesting.offsetStep, rotation: k * nesting.rotationStep, fill: copyFill });
+  }
+  
+  // Larger copies first so the inner ones stay visible
+  const extent = c => c.scale * (1 + 2 * c.offset);
+  return copies.sort((a, b) => extent(b) - extent(a));
+}
+
+/**
+ * Get how far a cell's shape is morphed from the morph's first shape to its
+ * second. The time driver sweeps there and back once per wave (following
+ * the cell phase), so it loops.
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {number} - eased morph amount (0-1)
+ */
+export function getMorphAmount(cell, time = 0) {
+  let t;
+  switch (morph.driver) {
+    case 'noise':
+      t = sampleNoise(cell.srcX, cell.srcY, time);
+      break;
+    case 'time':
+      t = (1 - getAnimationWave(cell, time, Math.PI / 2)) * 0.5;
+      break;
+    default:
+      t = cell.dist;
+  }
+  
+  const ease = easings[morph.easing] || easings.linear;
+  return ease(Math.min(Math.max(t, 0), 1));
+}
+
+/**
+ * Get the value choosing a cell's Truchet tile orientation. Random and
+ * noise values are keyed on the cell's own position, so symmetric copies
+ * pick independently; the symmetry mode keys on the source cell and the
+ * tile is then drawn in the cell's symmetry frame.
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {number} - value in [0, 1)
+ */
+export function getTruchetChoice(cell, time = 0) {
+  switch (truchet.orient) {
+    case 'noise':
+      return Math.min(sampleNoise(cell.x, cell.y, time), 0.999999);
+    case 'distance':
+      return Math.min(cell.dist, 0.999999);
+    case 'symmetry':
+      return getCellRandom(cell, 3)();
+    default: {
+      const seed = Math.imul(pattern.seed, 0x9e3779b1) ^ Math.imul(Math.round(cell.x) + 1, 0x85ebca6b) ^ Math.imul(Math.round(cell.y) + 1, 0xc2b2ae35);
+      return createRandom(seed)();
+    }
+  }
+}
+
+/**
+ * Get the parametric shape parameters for a cell. Each parameter moves from
+ * its center value toward its edge value over distance, or sweeps between
+ * them over the loop (following the cell phase) when shape animation is on.
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {Object} - {sides, points, innerRatio, thickness, m, n1, n2, n3, a, b, exponent}
+ */
+export function getShapeParams(cell, time = 0) {
+  const k = animation.enabled && animation.animateShape
+    ? (1 - getAnimationWave(cell, time, Math.PI / 2)) * 0.5
+    : calculateParamMix(cell.dist);
+  const mix = (center, edge) => center + (edge - center) * k;
+  
+  return {
+    sides: Math.max(3, Math.round(mix(shape.sides, shape.sidesEdge))),
+    points: Math.max(2, Math.round(mix(shape.starPoints, shape.starPointsEdge))),
+    innerRatio: Math.max(0, mix(shape.innerRatio, shape.innerRatioEdge)),
+    thickness: Math.max(0, mix(shape.crossThickness, shape.crossThicknessEdge)),
+    // Whole-number symmetry keeps the superformula outline closed
+    m: Math.max(0, Math.round(mix(shape.superM, shape.superMEdge))),
+    n1: mix(shape.superN1, shape.superN1Edge),
+    n2: mix(shape.superN2, shape.superN2Edge),
+    n3: mix(shape.superN3, shape.superN3Edge),
+    a: mix(shape.superA, shape.superAEdge),
+    b: mix(shape.superB, shape.superBEdge),
+    exponent: mix(shape.ellipseExponent, shape.ellipseExponentEdge),
+  };
+}
+
+/**
+ * Get the offset of a shape from its cell center: pattern noise, static
+ * jitter and animated displacement. Offsets are computed at the source
+ * cell and expressed in the cell's symmetry frame, so symmetric copies
+ * move symmetrically.
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {Object} - {x, y} offset in pixels
+ */
+export function getPositionOffset(cell, time = 0) {
+  const offset = { x: 0, y: 0 };
   
-  const scale = pattern.noiseScale;
-  const seed = pattern.seed;
+  if (pattern.enabled) {
+    if (pattern.noiseToPosition) {
+      const v = sampleNoiseVector(cell.srcX, cell.srcY, time);
+      offset.x += v.x * pattern.noisePosition * grid.cellSize;
+      offset.y += v.y * pattern.noisePosition * grid.cellSize;
+    }
+    
+    if (pattern.jitter > 0) {
+      const j = getJitter(cell);
+      offset.x += j.x;
+      offset.y += j.y;
+    }
+  }
+  
+  if (animation.enabled && animation.animatePosition) {
+    const d = getDisplacement(cell, time);
+    offset.x += d.x;
+    offset.y += d.y;
+  }
+  
+  return offset;
+}
+
+/**
+ * Get the drawn position of a cell: its center moved by its position
+ * offset in the cell's symmetry frame (as the shape is drawn)
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {Object} - {x, y}
+ */
+export function getCellAnchor(cell, time = 0) {
+  const offset = getPositionOffset(cell, time);
+  const rad = (cell.rotation * Math.PI) / 180;
+  const oy = cell.mirror ? -offset.y : offset.y;
+  return {
+    x: cell.x + offset.x * Math.cos(rad) - oy * Math.sin(rad),
+    y: cell.y + offset.x * Math.sin(rad) + oy * Math.cos(rad),
+  };
+}
+
+/**
+ * Get the static jitter of a cell, seeded by the pattern seed
+ * @param {Object} cell - cell data from getGridCells
+ * @returns {Object} - {x, y} offset in pixels
+ */
+function getJitter(cell) {
+  const amount = pattern.jitter * grid.cellSize;
+  
+  if (pattern.jitterMode === 'noise') {
+    const v = sampleNoiseVector(cell.srcX, cell.srcY, 0);
+    return { x: v.x * amount, y: v.y * amount };
+  }
+  
+  // Uniform point in a disc
+  const random = getCellRandom(cell, 0);
+  const angle = random() * Math.PI * 2;
+  const r = Math.sqrt(random()) * amount;
+  return { x: Math.cos(angle) * r, y: Math.sin(angle) * r };
+}
+
+/**
+ * Get the animated displacement of a cell. Orbit and breathe follow the
+ * cell's animation phase; every mode loops with the animation.
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {Object} - {x, y} offset in pixels
+ */
+function getDisplacement(cell, time) {
+  const range = animation.positionRange;
+  const angle = time * Math.max(1, Math.round(animation.frequency)) * Math.PI * 2;
+  
+  switch (animation.positionMode) {
+    case 'breathe': {
+      // Out from the center and back
+      const center = getGridCenter();
+      const dx = cell.srcX - center.x;
+      const dy = cell.srcY - center.y;
+      const len = Math.hypot(dx, dy);
+      if (len === 0) return { x: 0, y: 0 };
+      const amount = range * (1 - getAnimationWave(cell, time, Math.PI / 2)) * 0.5;
+      return { x: (dx / len) * amount, y: (dy / len) * amount };
+    }
+    
+    case 'wave': {
+      // Travelling wave, displacing across the direction it travels
+      const along = animation.positionAxis === 'cols' ? cell.srcY : cell.srcX;
+      const phase = along / (grid.cellSize * Math.max(animation.positionWavelength, 1));
+      const v = Math.sin(angle - phase * Math.PI * 2) * range;
+      return animation.positionAxis === 'cols' ? { x: v, y: 0 } : { x: 0, y: v };
+    }
+    
+    case 'drift': {
+      const v = sampleNoiseVector(cell.srcX, cell.srcY, time);
+      return { x: v.x * range, y: v.y * range };
+    }
+    
+    default: {
+      const a = getWaveAngle(cell, time);
+      return { x: Math.cos(a) * range, y: Math.sin(a) * range };
+    }
+  }
+}
+
+/**
+ * Get a seeded random generator for a cell. Keyed on the source cell index,
+ * so symmetric copies share their values.
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} salt - stream index, so different uses don't correlate
+ * @returns {Function} - returns floats in [0, 1)
+ */
+function getCellRandom(cell, salt) {
+  return createRandom(
+    Math.imul(pattern.seed, 0x9e3779b1) ^ Math.imul(cell.index + 1, 0x85ebca6b) ^ Math.imul(salt + 1, 0xc2b2ae35)
+  );
+}
+
+/**
+ * Get the animation phase of a cell in cycles. Animations are delayed by
+ * the phase, so waves travel toward increasing phase.
+ * @param {Object} cell - cell data from getGridCells
+ * @returns {number} - phase in cycles
+ */
+export function getCellPhase(cell) {
+  const wavelength = Math.max(animation.wavelength, 0.01);
+  let phase;
   
-  // Use distance and seed for noise
-  const nx = dist * scale * 10 + seed;
-  const ny = time * scale + seed;
+  switch (animation.phaseMode) {
+    case 'distance':
+      phase = cell.dist / wavelength;
+      break;
+      
+    case 'angle': {
+      // Whole number of arms so the sweep has no seam
+      const center = getGridCenter();
+      const angle = Math.atan2(cell.srcY - center.y, cell.srcX - center.x);
+      phase = (angle / (Math.PI * 2)) * Math.max(1, Math.round(1 / wavelength));
+      break;
+    }
+    
+    case 'rowcol': {
+      // Linear sweep across the layout
+      const size = getLayoutSize();
+      const rad = (animation.phaseAngle * Math.PI) / 180;
+      const along = cell.srcX * Math.cos(rad) + cell.srcY * Math.sin(rad);
+      phase = along / Math.max(size.width, size.height, 1) / wavelength;
+      break;
+    }
+    
+    case 'noise':
+      phase = sampleNoise(cell.srcX, cell.srcY, 0) / wavelength;
+      break;
+      
+    case 'random':
+      phase = getCellRandom(cell, 1)() / wavelength;
+      break;
+      
+    default:
+      phase = 0;
+  }
   
-  const val = noise2D(nx, ny);
-  return (val + 1) * 0.5; // Normalize to 0-1
+  return animation.phaseReverse ? -phase : phase;
+}
+
+/**
+ * Get the wave angle of a cell at a time, in radians. Integer frequencies
+ * keep every animation looping.
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {number} - angle in radians
+ */
+function getWaveAngle(cell, time) {
+  const frequency = Math.max(1, Math.round(animation.frequency));
+  return (time * frequency - getCellPhase(cell)) * Math.PI * 2;
+}
+
+/**
+ * Get the animation wave of a cell at a time
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @param {number} shift - extra angle in radians
+ * @returns {number} - wave value (-1 to 1)
+ */
+export function getAnimationWave(cell, time, shift = 0) {
+  return Math.sin(getWaveAngle(cell, time) + shift);
+}
+
+/**
+ * Get the animated size, rotation and opacity of a cell
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {Object} - {size, rotation, opacity}: size and opacity
+ *   multipliers and a rotation offset in degrees
+ */
+export function getAnimationFactors(cell, time) {
+  const factors = { size: 1, rotation: 0, opacity: 1 };
+  if (!animation.enabled) return factors;
+  
+  const wave = getAnimationWave(cell, time);
+  
+  if (animation.animateSize) {
+    factors.size = Math.max(0, 1 + wave * animation.sizeRange);
+  }
+  if (animation.animateRotation) {
+    factors.rotation = wave * animation.rotationRange;
+  }
+  if (animation.animateOpacity) {
+    factors.opacity = 1 - animation.opacityRange * (1 - wave) * 0.5;
+  }
+  
+  return factors;
+}
+
+/**
+ * Get noise value for a position
+ * @param {number} x - x position
+ * @param {number} y - y position
+ * @param {number} time - animation time (0-1), loops seamlessly
+ * @returns {number} - noise value (0-1)
+ */
+export function getNoiseValue(x, y, time = 0) {
+  if (!pattern.enabled) return 0.5;
+  return sampleNoise(x, y, time);
 }
 
 /**
  * Get the fill color for a shape
- * @param {number} dist - normalized distance
- * @param {number} index - shape index
+ * @param {Object} cell - cell data from getGridCells
  * @param {number} time - animation time
  * @returns {string} - color string
  */
-export function getFillColor(dist, index, time = 0) {
+export function getFillColor(cell, time = 0) {
+  const colors = getPaletteColors();
+  const n = colors.length;
+  let { dist, index } = cell;
+  
+  // Pattern noise shifts the gradient position or the palette index
+  if (pattern.enabled && pattern.noiseToColor) {
+    const noiseVal = getNoiseValue(cell.srcX, cell.srcY, time);
+    dist = Math.min(Math.max(dist + (noiseVal * 2 - 1) * pattern.noiseColor, 0), 1);
+    index += Math.floor(noiseVal * pattern.noiseColor * n);
+  }
+  
+  // Color animation: palette rotation steps through the colors, gradient
+  // scrolling wraps the distance gradient around (palette modes rotate)
+  const animate = animation.enabled && animation.animateColor;
+  const cycle = animate ? getColorCycle(cell, time) : 0;
+  const scroll = animate && animation.colorMode === 'scroll';
+  const steps = animate && animation.colorMode !== 'hue' ? Math.floor(fract(cycle) * n) : 0;
+  const colorAt = i => colors[(((i + steps) % n) + n) % n];
+  
+  let color;
   switch (shape.fillMode) {
-    case 'solid':
-      return shape.fillColor;
-      
     case 'distance': {
-      // Interpolate between palette colors based on distance
-      const colors = palette.colors;
-      const t = dist * (colors.length - 1);
-      const i = Math.floor(t);
-      const frac = t - i;
-      
-      if (i >= colors.length - 1) return colors[colors.length - 1];
-      return interpolateColor(colors[i], colors[i + 1], frac);
+      // Sample the palette gradient by distance; scrolling uses the cyclic
+      // gradient so the seam scrolls through unnoticed
+      color = scroll
+        ? samplePalette(dist + cycle, { cyclic: true })
+        : samplePalette(dist, { shift: steps });
+      break;
     }
       
     case 'palette': {
       // Cycle through palette based on index
-      const colors = palette.colors;
-      return colors[index % colors.length];
+      color = colorAt(index);
+      break;
     }
       
     case 'random': {
       // Deterministic random based on index
-      const colors = palette.colors;
-      return colors[(index * 7) % colors.length];
+      color = colorAt(index * 7);
+      break;
     }
       
     default:
-      return shape.fillColor;
+      color = shape.fillColor;
+  }
+  
+  if (animate && animation.colorMode === 'hue') {
+    color = shiftHue(color, Math.sin(cycle * Math.PI * 2) * animation.colorShift * 360);
   }
+  
+  return color;
+}
+
+/**
+ * Get the color animation position of a cell in cycles, optionally delayed
+ * by the cell's animation phase
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {number} - cycles
+ */
+function getColorCycle(cell, time) {
+  const frequency = Math.max(1, Math.round(animation.frequency));
+  return time * frequency - (animation.colorPhase ? getCellPhase(cell) : 0);
+}
+
+/**
+ * Fractional part, wrapped into [0, 1) for negative values too
+ * @param {number} v - value
+ * @returns {number}
+ */
+function fract(v) {
+  return v - Math.floor(v);
 }
 
 /**
  * Get stroke color for a shape
- * @param {number} dist - normalized distance
- * @param {number} index - shape index
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time
  * @returns {string} - color string
  */
-export function getStrokeColor(dist, index) {
+export function getStrokeColor(cell, time = 0) {
   if (shape.strokeMode === 'none') return null;
   if (shape.strokeMode === 'solid') return shape.strokeColor;
   
   // For gradient/distance modes, same logic as fill
-  return getFillColor(dist, index);
+  return getFillColor(cell, time);
+}
+
+// Cached brightness data for the current mask image
+const MASK_MAX_SIZE = 512;
+let maskCache = { image: null, width: 0, height: 0, sums: null };
+
+/**
+ * Build a summed-area table of the mask image brightness so that
+ * box averages over a cell footprint can be read in constant time
+ * @param {p5.Image} image - mask image
+ * @returns {Object} - {image, width, height, sums}
+ */
+function buildMaskCache(image) {
+  const fit = Math.min(1, MASK_MAX_SIZE / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * fit));
+  const height = Math.max(1, Math.round(image.height * fit));
+  
+  // Draw (and downsample) into a plain 2D canvas to read the pixels
+  const cnv = document.createElement('canvas');
+  cnv.width = width;
+  cnv.height = height;
+  const ctx = cnv.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image.canvas || image, 0, 0, width, height);
+  const pixels = ctx.getImageData(0, 0, width, height).data;
+  
+  // sums[(y + 1) * (width + 1) + (x + 1)] = brightness sum of [0..x] x [0..y]
+  const stride = width + 1;
+  const sums = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      // Rec. 709 luma, transparent pixels count as black
+      const luma = (0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2]) / 255;
+      rowSum += luma * (pixels[i + 3] / 255);
+      sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+    }
+  }
+  
+  return { image, width, height, sums };
+}
+
+/**
+ * Get the rectangle the mask image covers on the canvas
+ * @param {number} imgW - image width
+ * @param {number} imgH - image height
+ * @returns {Object} - {x, y, width, height} in canvas coordinates
+ */
+function getMaskRect(imgW, imgH) {
+  let width = canvas.width;
+  let height = canvas.height;
+  
+  if (mask.fit === 'contain' || mask.fit === 'cover') {
+    const sx = canvas.width / imgW;
+    const sy = canvas.height / imgH;
+    const s = mask.fit === 'contain' ? Math.min(sx, sy) : Math.max(sx, sy);
+    width = imgW * s;
+    height = imgH * s;
+  }
+  
+  width *= mask.scale;
+  height *= mask.scale;
+  
+  return {
+    x: (canvas.width - width) / 2 + mask.offsetX,
+    y: (canvas.height - height) / 2 + mask.offsetY,
+    width,
+    height,
+  };
 }
 
 /**
- * Interpolate between two hex colors
- * @param {string} c1 - first color
- * @param {string} c2 - second color
- * @param {number} t - interpolation factor (0-1)
- * @returns {string} - interpolated color
+ * Get the average mask brightness over a square footprint
+ * @param {number} x - center x in canvas coordinates
+ * @param {number} y - center y in canvas coordinates
+ * @param {number} footprint - footprint size in canvas pixels
+ * @returns {number|null} - brightness (0-1), or null outside the image
  */
-function interpolateColor(c1, c2, t) {
-  const r1 = parseInt(c1.slice(1, 3), 16);
-  const g1 = parseInt(c1.slice(3, 5), 16);
-  const b1 = parseInt(c1.slice(5, 7), 16);
+function sampleMaskBrightness(x, y, footprint) {
+  if (maskCache.image !== mask.image) {
+    maskCache = buildMaskCache(mask.image);
+  }
+  const { width, height, sums } = maskCache;
+  const rect = getMaskRect(width, height);
   
-  const r2 = parseInt(c2.slice(1, 3), 16);
-  const g2 = parseInt(c2.slice(3, 5), 16);
-  const b2 = parseInt(c2.slice(5, 7), 16);
+  // Map to mask pixel coordinates
+  const u = ((x - rect.x) / rect.width) * width;
+  const v = ((y - rect.y) / rect.height) * height;
+  if (u < 0 || u >= width || v < 0 || v >= height) return null;
   
-  const r = Math.round(r1 + (r2 - r1) * t);
-  const g = Math.round(g1 + (g2 - g1) * t);
-  const b = Math.round(b1 + (b2 - b1) * t);
+  const hw = Math.max(0.5, (footprint / 2 / rect.width) * width);
+  const hh = Math.max(0.5, (footprint / 2 / rect.height) * height);
+  const x0 = Math.max(0, Math.floor(u - hw));
+  const y0 = Math.max(0, Math.floor(v - hh));
+  const x1 = Math.min(width, Math.max(x0 + 1, Math.ceil(u + hw)));
+  const y1 = Math.min(height, Math.max(y0 + 1, Math.ceil(v + hh)));
   
-  return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+  const stride = width + 1;
+  const total = sums[y1 * stride + x1] - sums[y0 * stride + x1]
+    - sums[y1 * stride + x0] + sums[y0 * stride + x0];
+  return total / ((x1 - x0) * (y1 - y0));
+}
+
+/**
+ * Smooth Hermite step between two edges
+ * @param {number} e0 - lower edge
+ * @param {number} e1 - upper edge
+ * @param {number} x - value
+ * @returns {number} - 0-1
+ */
+function smoothstep(e0, e1, x) {
+  if (e1 <= e0) return x < e0 ? 0 : 1;
+  const t = Math.min(Math.max((x - e0) / (e1 - e0), 0), 1);
+  return t * t * (3 - 2 * t);
 }
 
 /**
  * Get mask value for a position
  * @param {number} x - x position
  * @param {number} y - y position
+ * @param {number} footprint - area to average over (defaults to cell size)
  * @returns {number} - mask value (0-1)
  */
-export function getMaskValue(x, y) {
+export function getMaskValue(x, y, footprint = grid.cellSize) {
   if (!mask.enabled || !mask.image) return 1;
   
-  // Map position to mask image coordinates
-  const imgW = mask.image.width;
-  const imgH = mask.image.height;
+  const brightness = sampleMaskBrightness(x, y, footprint);
+  if (brightness === null) return 1;
   
-  const mx = Math.floor((x / canvas.width) * imgW);
-  const my = Math.floor((y / canvas.height) * imgH);
+  const b = mask.brightnessInvert ? 1 - brightness : brightness;
   
-  if (mx < 0 || mx >= imgW || my < 0 || my >= imgH) return 1;
-  
-  // Get pixel brightness (would need actual image data)
-  // For now, return 1
-  return 1;
+  // Soft cutoff around the threshold, keeping the brightness above it
+  const half = mask.smoothness / 2;
+  return b * smoothstep(mask.threshold - half, mask.threshold + half, b);
+}
+
+/**
+ * Get the scale and opacity multipliers the mask applies to a cell
+ * @param {number} x - x position
+ * @param {number} y - y position
+ * @returns {Object} - {scale, opacity}
+ */
+export function getMaskFactors(x, y) {
+  const value = getMaskValue(x, y);
+  const mode = mask.brightnessMode;
+  return {
+    scale: mode === 'scale' || mode === 'both' ? value : 1,
+    opacity: mode === 'opacity' || mode === 'both' ? value : 1,
+  };
 }
 
 /**
  * Update canvas size based on grid settings
  */
 export function updateCanvasSize() {
-  canvas.width = grid.cols * grid.cellSize + Math.abs(grid.offsetX) * 2;
-  canvas.height = grid.rows * grid.cellSize + Math.abs(grid.offsetY) * 2;
+  const size = getLayoutSize();
+  canvas.width = Math.ceil(size.width + Math.abs(grid.offsetX) * 2);
+  canvas.height = Math.ceil(size.height + Math.abs(grid.offsetY) * 2);
 }
 
 /**
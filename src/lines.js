@@ -0,0 +1,356 @@
+// ============================================================
+// Line Mode - Rows of cells drawn as continuous modulated strips
+// ============================================================
+
+import { canvas, grid, shape, lines } from './state.js';
+import { getShapeSize, getFillColor, getMaskFactors, getAnimationFactors, getGridCenter } from './grid.js';
+import { drawContours } from './shapes/library.js';
+import { getPaperScope, wrapSVG } from './shapes/svg.js';
+import { getPaletteColors, toP5Color, toSVGPaint } from './colors.js';
+
+// Samples per span between two cells (even, so a sample falls on the
+// midpoint where one cell's color hands over to the next)
+const STEPS = 8;
+
+/**
+ * Get the spacing between lattice rows
+ * @returns {number} - pixels
+ */
+function getRowPitch() {
+  const s = grid.cellSize;
+  return grid.lattice === 'hex' || grid.lattice === 'triangle' ? (Math.sqrt(3) / 2) * s : s;
+}
+
+/**
+ * Group cells into rows: horizontal bands for grid layouts (open, left to
+ * right) and rings around the center for polar layouts (closed, by angle).
+ * Rows are grouped by position, so symmetry copies join the row they land
+ * in; hex and half-drop rows zigzag between their column offsets.
+ * @param {Array} cells - cells from getGridCells
+ * @returns {Array} - array of {cells, closed}, back to front (top rows and
+ *   inner rings first)
+ */
+function groupRows(cells) {
+  const polar = grid.layout !== 'grid';
+  const center = getGridCenter();
+  const pitch = getRowPitch();
+  
+  const groups = new Map();
+  for (const cell of cells) {
+    const key = polar
+      ? Math.round(Math.hypot(cell.x - center.x, cell.y - center.y) / grid.cellSize)
+      : Math.floor((cell.y - grid.offsetY) / pitch - 0.25);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(cell);
+  }
+  
+  const angle = cell => Math.atan2(cell.y - center.y, cell.x - center.x);
+  return [...groups.keys()]
+    .sort((a, b) => a - b)
+    .map(key => {
+      const row = groups.get(key);
+      row.sort(polar ? (a, b) => angle(a) - angle(b) : (a, b) => a.x - b.x);
+      return { cells: row, closed: polar };
+    })
+    .filter(row => row.cells.length >= (row.closed ? 3 : 2));
+}
+
+/**
+ * Get the knot a cell contributes to its row: its center, the displaced
+ * point and the strip width, all driven by the value that would size its
+ * shape (distance scale curve, noise, animation and mask)
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} rowIndex - index of the row, back to front
+ * @param {number} time - animation time (0-1)
+ * @returns {Object} - {x, y, bx, by, w, color, opacity}; (bx, by) is the
+ *   undisplaced baseline point
+ */
+function getKnot(cell, rowIndex, time) {
+  const anim = getAnimationFactors(cell, time);
+  const maskFactors = getMaskFactors(cell.x, cell.y);
+  const value = (getShapeSize(cell, time) / grid.cellSize) * anim.size * maskFactors.scale;
+  
+  // Rows rise up the canvas, rings grow outward
+  let dx = 0;
+  let dy = -1;
+  if (grid.layout !== 'grid') {
+    const center = getGridCenter();
+    const len = Math.hypot(cell.x - center.x, cell.y - center.y) || 1;
+    dx = (cell.x - center.x) / len;
+    dy = (cell.y - center.y) / len;
+  }
+  const offset = value * lines.displacement * grid.cellSize;
+  
+  const colors = getPaletteColors();
+  return {
+    x: cell.x + dx * offset,
+    y: cell.y + dy * offset,
+    bx: cell.x,
+    by: cell.y,
+    w: lines.widthMin + (lines.widthMax - lines.widthMin) * Math.min(Math.max(value, 0), 1),
+    color: lines.colorMode === 'row' ? colors[rowIndex % colors.length] : getFillColor(cell, time),
+    opacity: shape.fillOpacity * anim.opacity * maskFactors.opacity,
+  };
+}
+
+/**
+ * Interpolate between knots b and c, as a Catmull-Rom curve through a-d
+ * when smoothing and linearly otherwise
+ * @param {number} a - value at the knot before b
+ * @param {number} b - value at the start knot
+ * @param {number} c - value at the end knot
+ * @param {number} d - value at the knot after c
+ * @param {number} t - position between b and c (0-1)
+ * @returns {number}
+ */
+function interpolate(a, b, c, d, t) {
+  if (!lines.smooth) return b + (c - b) * t;
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return 0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+}
+
+/**
+ * Sample a row of knots densely, with the unit normal of the curve at
+ * every sample
+ * @param {Array} knots - knots from getKnot, in row order
+ * @param {boolean} closed - whether the row is a ring
+ * @returns {Array} - array of {x, y, bx, by, w, nx, ny, owner}; owner is
+ *   the index of the knot whose color the sample takes
+ */
+function sampleRow(knots, closed) {
+  const n = knots.length;
+  const at = i => knots[closed ? (i + n) % n : Math.min(Math.max(i, 0), n - 1)];
+  const spans = closed ? n : n - 1;
+  
+  const samples = [];
+  for (let i = 0; i < spans; i++) {
+    const [a, b, c, d] = [at(i - 1), at(i), at(i + 1), at(i + 2)];
+    for (let s = 0; s < STEPS; s++) {
+      const t = s / STEPS;
+      const sample = { owner: t < 0.5 ? i : (i + 1) % n };
+      for (const key of ['x', 'y', 'bx', 'by', 'w']) {
+        sample[key] = interpolate(a[key], b[key], c[key], d[key], t);
+      }
+      // Curves can overshoot below zero between thin knots
+      sample.w = Math.max(sample.w, 0);
+      samples.push(sample);
+    }
+  }
+  if (!closed) {
+    const last = knots[n - 1];
+    samples.push({ x: last.x, y: last.y, bx: last.bx, by: last.by, w: last.w, owner: n - 1 });
+  }
+  
+  // Normals from the neighboring samples (one-sided at open ends)
+  const m = samples.length;
+  samples.forEach((sample, j) => {
+    const prev = samples[closed ? (j - 1 + m) % m : Math.max(j - 1, 0)];
+    const next = samples[closed ? (j + 1) % m : Math.min(j + 1, m - 1)];
+    const len = Math.hypot(next.x - prev.x, next.y - prev.y) || 1;
+    sample.nx = (next.y - prev.y) / len;
+    sample.ny = -(next.x - prev.x) / len;
+  });
+  return samples;
+}
+
+/**
+ * Build the line rows of a cell list
+ * @param {Array} cells - cells from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {Array} - array of {closed, knots, samples}, back to front
+ */
+export function getLineRows(cells, time = 0) {
+  return groupRows(cells).map((row, rowIndex) => {
+    const knots = row.cells.map(cell => getKnot(cell, rowIndex, time));
+    return { closed: row.closed, knots, samples: sampleRow(knots, row.closed) };
+  });
+}
+
+/**
+ * Split a row into runs of samples sharing a color and opacity. Runs
+ * overlap by one sample so they meet without a gap; a ring in one color
+ * stays a single closed piece.
+ * @param {Object} row - row from getLineRows
+ * @returns {Array} - array of {samples, closed, color, opacity}
+ */
+function getPieces(row) {
+  const { knots, closed } = row;
+  const keyOf = sample => `${knots[sample.owner].color}|${knots[sample.owner].opacity}`;
+  let list = row.samples;
+  
+  if (closed) {
+    const m = list.length;
+    const start = list.findIndex((sample, j) => keyOf(sample) !== keyOf(list[(j - 1 + m) % m]));
+    if (start === -1) {
+      const knot = knots[list[0].owner];
+      return [{ samples: list, closed: true, color: knot.color, opacity: knot.opacity }];
+    }
+    // Start at a color change and repeat the first sample to close the ring
+    list = [...list.slice(start), ...list.slice(0, start)];
+    list.push(list[0]);
+  }
+  
+  const count = closed ? list.length - 1 : list.length;
+  const pieces = [];
+  let begin = 0;
+  for (let j = 1; j <= count; j++) {
+    if (j < count && keyOf(list[j]) === keyOf(list[begin])) continue;
+    const knot = knots[list[begin].owner];
+    pieces.push({ samples: list.slice(begin, j + 1), closed: false, color: knot.color, opacity: knot.opacity });
+    begin = j;
+  }
+  return pieces;
+}
+
+/**
+ * Get the variable-width outline of a piece, or its outline at one width
+ * @param {Object} piece - piece from getPieces
+ * @param {number} width - constant width in pixels; omitted to follow the
+ *   samples' widths
+ * @returns {Array} - closed contours; a closed piece is a band of two
+ *   opposite contours, to be filled with the nonzero rule
+ */
+function getPieceContours(piece, width) {
+  const side = sign => piece.samples.map(s => {
+    const half = (width ?? s.w) / 2;
+    return { x: s.x + sign * s.nx * half, y: s.y + sign * s.ny * half };
+  });
+  const left = side(1);
+  const right = side(-1).reverse();
+  return piece.closed ? [left, right] : [[...left, ...right]];
+}
+
+/**
+ * Get the region a row hides the rows behind it with: the area between its
+ * curve and its baseline
+ * @param {Object} row - row from getLineRows
+ * @returns {Array} - closed contours
+ */
+function getOccluderContours(row) {
+  const curve = row.samples.map(s => ({ x: s.x, y: s.y }));
+  const base = row.samples.map(s => ({ x: s.bx, y: s.by })).reverse();
+  return row.closed ? [curve, base] : [[...curve, ...base]];
+}
+
+/**
+ * Draw line rows, back to front. Occluding rows first paint the area under
+ * their curve in the background color.
+ * @param {p5} p - p5 instance
+ * @param {Array} rows - rows from getLineRows
+ * @param {number} scale - scale factor (for exports)
+ */
+export function drawLines(p, rows, scale = 1) {
+  p.push();
+  const ctx = p.drawingContext;
+  
+  for (const row of rows) {
+    if (lines.occlude) {
+      p.noStroke();
+      p.fill(canvas.background);
+      drawContours(p, 0, 0, scale, 0, getOccluderContours(row));
+    }
+    
+    for (const piece of getPieces(row)) {
+      const c = toP5Color(p, piece.color, piece.opacity);
+      
+      if (lines.output === 'stroke') {
+        // Constant width center line, as a plotter pen draws it
+        p.noFill();
+        p.stroke(c);
+        p.strokeWeight(lines.widthMax * scale);
+        p.strokeCap(p.ROUND);
+        p.strokeJoin(p.ROUND);
+        ctx.beginPath();
+        piece.samples.forEach((s, j) => {
+          if (j === 0) ctx.moveTo(s.x * scale, s.y * scale);
+          else ctx.lineTo(s.x * scale, s.y * scale);
+        });
+        if (piece.closed) ctx.closePath();
+        ctx.stroke();
+      } else {
+        p.noStroke();
+        p.fill(c);
+        drawContours(p, 0, 0, scale, 0, getPieceContours(piece));
+      }
+    }
+  }
+  
+  p.pop();
+}
+
+/**
+ * Build a closed paper.js path from contours
+ * @param {paper.PaperScope} scope - paper.js scope
+ * @param {Array} contours - closed contours
+ * @returns {paper.CompoundPath}
+ */
+function toCompoundPath(scope, contours) {
+  return new scope.CompoundPath({
+    children: contours.map(c => new scope.Path({ segments: c.map(pt => [pt.x, pt.y]), closed: true, insert: false })),
+    fillRule: 'nonzero',
+    insert: false,
+  });
+}
+
+/**
+ * Generate an SVG of line rows. Outlines are written as filled
+ * variable-width paths, strokes as single center lines for plotters. With
+ * occlusion the hidden parts are cut away rather than painted over, so the
+ * file holds only the visible geometry.
+ * @param {Array} rows - rows from getLineRows
+ * @param {Object} options - {width, height, background, underlay, overlay};
+ *   underlay and overlay as for generateSVG
+ * @returns {string} - SVG XML string
+ */
+export function generateLinesSVG(rows, options) {
+  const scope = getPaperScope();
+  const strokes = lines.output === 'stroke';
+  
+  // Front to back, cutting each row by the area covered by the rows in front
+  let front = null;
+  const markup = [];
+  for (const row of [...rows].reverse()) {
+    let rowSvg = '';
+    const pieces = getPieces(row);
+    const covered = [toCompoundPath(scope, getOccluderContours(row))];
+    
+    for (const piece of pieces) {
+      let item;
+      if (strokes) {
+        // Strokes stay open paths (a ring repeats its first point) so
+        // cutting splits them instead of closing the pieces
+        const points = piece.closed ? [...piece.samples, piece.samples[0]] : piece.samples;
+        item = new scope.Path({ segments: points.map(s => [s.x, s.y]), insert: false });
+        
+        // The pen hides what's behind it at its own width, round capped
+        covered.push(toCompoundPath(scope, getPieceContours(piece, lines.widthMax)));
+        if (!piece.closed) {
+          for (const end of [piece.samples[0], piece.samples[piece.samples.length - 1]]) {
+            covered.push(new scope.Path.Circle({ center: [end.x, end.y], radius: lines.widthMax / 2, insert: false }));
+          }
+        }
+      } else {
+        item = toCompoundPath(scope, getPieceContours(piece));
+        covered.push(item);
+      }
+      if (front) item = item.subtract(front, { insert: false, trace: !strokes });
+      
+      const d = item.getPathData(null, 3);
+      if (!d) continue;
+      const { paint, opacity } = toSVGPaint(piece.color, piece.opacity);
+      rowSvg += strokes
+        ? `    <path d="${d}" fill="none" stroke="${paint}" stroke-width="${lines.widthMax}" stroke-linecap="round" stroke-linejoin="round" stroke-opacity="${opacity}"/>\n`
+        : `    <path d="${d}" fill="${paint}" fill-opacity="${opacity}"/>\n`;
+    }
+    markup.push(rowSvg);
+    
+    if (lines.occlude) {
+      for (const item of covered) {
+        front = front ? front.unite(item, { insert: false }) : item;
+      }
+    }
+  }
+  
+  return wrapSVG(`  <g id="lines">\n${markup.reverse().join('')}  </g>\n`, options);
+}
@@ -4,20 +4,33 @@
 
 import p5 from 'p5';
 import {
-  canvas, grid, shape, pattern, animation, customShape, mask,
+  canvas, grid, shape, pattern, animation, mask, field, morph, truchet, connections, lines, metaballs, voronoi,
 } from './state.js';
 import { updateCanvasSize, getAnimationTime } from './grid.js';
-import { setupUI, refreshUI, setStatus } from './ui.js';
+import { setupUI, refreshUI, rebuildShapeSetUI, setStatus } from './ui.js';
 import {
   getGridCells, getShapeSize, getShapeRotation, getFillColor, getStrokeColor,
+  getCellShape, getMorphAmount, getNestedCopies, getShapeParams, getMaskFactors, getPositionOffset, getAnimationFactors, getGridCenter, getCellPosition, getCellOutline, getPolarRadius,
 } from './grid.js';
-import { drawShape } from './shapes/library.js';
-import { drawSVGPath, loadSVGFile, parseSVG } from './shapes/svg.js';
+import { drawShape, drawContours } from './shapes/library.js';
+import { getMorphPoints } from './shapes/morph.js';
+import { offsetContours, getOffsetContours } from './shapes/offset.js';
+import { getTruchetTile, drawTruchetTile } from './shapes/truchet.js';
+import { loadGlyphFont, loadLocalGlyphFont } from './shapes/glyphs.js';
+import { drawCustomShape, loadSVGFile } from './shapes/svg.js';
 import { exportComposition, getIsRecording } from './export.js';
+import { addSVGAsset, resolveShape } from './assets.js';
+import { toP5Color } from './colors.js';
+import { drawAttractors, findAttractorHandle, moveAttractorHandle } from './fields.js';
+import { getConnections, drawConnections } from './connections.js';
+import { getLineRows, drawLines } from './lines.js';
+import { getMetaballLevels, drawMetaballs } from './metaballs.js';
+import { getVoronoiPieces, drawVoronoi } from './voronoi.js';
 
 // Global state
 let isSetup = false;
 let frameCount = 0;
+let dragHandle = null;
 
 const sketch = (p) => {
   // --- Setup ---
@@ -47,6 +60,7 @@ const sketch = (p) => {
         }
       },
       onExport: () => exportComposition(p, frameCount),
+      onLoadLocalFont: (name) => handleLocalFont(p, name),
     });
     
     // Set up drag and drop
@@ -74,10 +88,27 @@ const sketch = (p) => {
     
     // Get all cells
     const cells = getGridCells();
+    const links = getConnections(cells, time);
     
-    // Draw all shapes
-    for (let i = 0; i < cells.length; i++) {
-      drawCell(p, cells[i], i, time);
+    // Draw all shapes (or line rows, blobs or a tessellation), with
+    // connections under or over them
+    if (!connections.above) drawConnections(p, links);
+    if (lines.enabled) {
+      drawLines(p, getLineRows(cells, time));
+    } else if (metaballs.enabled) {
+      drawMetaballs(p, getMetaballLevels(cells, time));
+    } else if (voronoi.enabled) {
+      drawVoronoi(p, getVoronoiPieces(cells, time));
+    } else {
+      for (const cell of cells) {
+        drawCell(p, cell, time);
+      }
+    }
+    if (connections.above) drawConnections(p, links);
+    
+    // Draw attractor handles on top (preview only)
+    if (field.enabled && field.showHandles) {
+      drawAttractors(p);
     }
     
     // Update animation frame
@@ -88,30 +119,31 @@ const sketch = (p) => {
   };
 
   // --- Cell Drawing ---
-  function drawCell(p, cell, index, time) {
-    const { x, y, dist } = cell;
+  function drawCell(p, cell, time) {
+    const { x, y } = cell;
     
     // Calculate animated properties
-    let size = getShapeSize(dist, time);
-    let rotation = getShapeRotation(dist, shape.rotation, time);
+    let size = getShapeSize(cell, time);
+    let rotation = getShapeRotation(cell, shape.rotation, time);
+    let opacity = 1;
     
-    // Apply additional animation
-    if (animation.enabled && animation.playing) {
-      if (animation.animateSize) {
-        const noise = Math.sin(time * Math.PI * 2 + index * 0.1) * 0.5 + 0.5;
-        size *= 0.7 + noise * 0.6;
-      }
-      if (animation.animateRotation) {
-        rotation += time * 360 * animation.speed;
-      }
-      if (animation.animateColor) {
-        // Color shifting handled in getFillColor
-      }
+    // Apply additional animation (also while paused, as the exports do)
+    if (animation.enabled) {
+      const anim = getAnimationFactors(cell, time);
+      size *= anim.size;
+      rotation += anim.rotation;
+      opacity *= anim.opacity;
     }
     
+    // Apply mask image
+    const maskFactors = getMaskFactors(x, y);
+    size *= maskFactors.scale;
+    opacity *= maskFactors.opacity;
+    if (size <= 0 || opacity <= 0) return;
+    
     // Get colors
-    const fill = getFillColor(dist, index, time);
-    const stroke = getStrokeColor(dist, index);
+    const fill = getFillColor(cell, time);
+    const stroke = getStrokeColor(cell, time);
     
     // Apply blend mode
     const blendMode = shape.blendMode;
@@ -119,29 +151,64 @@ const sketch = (p) => {
       p.blendMode(p[blendMode.toUpperCase()]);
     }
     
-    // Set fill
-    const fillColor = p.color(fill);
-    fillColor.setAlpha(shape.fillOpacity * 255);
-    p.fill(fillColor);
+    if (truchet.enabled) {
+      // A lattice tile replaces the centered shape
+      const tileColor = toP5Color(p, fill, shape.fillOpacity * opacity);
+      drawTruchetTile(p, x, y, 1, getTruchetTile(cell, time), tileColor, truchet.lineWidth);
+      p.blendMode(p.BLEND);
+      return;
+    }
     
     // Set stroke
     if (stroke && shape.strokeMode !== 'none') {
-      const strokeColor = p.color(stroke);
-      strokeColor.setAlpha(shape.strokeOpacity * 255);
-      p.stroke(strokeColor);
+      p.stroke(toP5Color(p, stroke, shape.strokeOpacity * opacity));
       p.strokeWeight(shape.strokeWeight);
     } else {
       p.noStroke();
     }
     
-    // Draw the shape
-    if (shape.type === 'custom' && customShape.paths.length > 0) {
-      // Draw custom SVG shape
-      const path = customShape.paths[0];
-      drawSVGPath(p, path, x, y, size, customShape.bounds, rotation);
-    } else {
-      drawShape(p, shape.type, x, y, size, rotation);
+    // Draw the shape in the cell's symmetry frame
+    const offset = getPositionOffset(cell, time);
+    p.push();
+    p.translate(x, y);
+    p.rotate(p.radians(cell.rotation));
+    if (cell.mirror) p.scale(1, -1);
+    
+    const key = getCellShape(cell, time);
+    const { type, asset } = resolveShape(key);
+    const params = getShapeParams(cell, time);
+    
+    // One pass per nested copy (just the shape without nesting)
+    for (const copy of getNestedCopies(cell, fill)) {
+      const copySize = size * copy.scale;
+      const copyRotation = rotation + copy.rotation;
+      
+      // Set fill
+      p.fill(toP5Color(p, copy.fill, shape.fillOpacity * opacity));
+      
+      if (morph.enabled) {
+        // Outline interpolated between the two morph shapes
+        const points = getMorphPoints(morph.from, morph.to, getMorphAmount(cell, time), 1, params);
+        const contours = copy.offset ? offsetContours([points], copy.offset) : [points];
+        drawContours(p, offset.x, offset.y, copySize, copyRotation, contours);
+      } else if (copy.offset) {
+        // Inset/outset copy of the shape's outline
+        drawContours(p, offset.x, offset.y, copySize, copyRotation, getOffsetContours(key, params, copy.offset));
+      } else if (asset) {
+        // Draw every path of the SVG shape
+        drawCustomShape(p, asset, offset.x, offset.y, copySize, copyRotation, {
+          fill: copy.fill,
+          stroke: shape.strokeMode !== 'none' ? stroke : null,
+          fillOpacity: shape.fillOpacity * opacity,
+          strokeOpacity: shape.strokeOpacity * opacity,
+          strokeWeight: shape.strokeWeight,
+        });
+      } else if (type !== 'glyph') {
+        // Glyphs without a loaded font (or blank characters) draw nothing
+        drawShape(p, type, offset.x, offset.y, copySize, copyRotation, params);
+      }
     }
+    p.pop();
     
     // Reset blend mode
     p.blendMode(p.BLEND);
@@ -153,27 +220,64 @@ const sketch = (p) => {
     p.strokeWeight(1);
     p.noFill();
     
-    // Draw cell grid
-    for (let col = 0; col <= grid.cols; col++) {
-      const x = col * grid.cellSize + grid.offsetX;
-      p.line(x, grid.offsetY, x, grid.rows * grid.cellSize + grid.offsetY);
-    }
+    const center = getGridCenter();
     
-    for (let row = 0; row <= grid.rows; row++) {
-      const y = row * grid.cellSize + grid.offsetY;
-      p.line(grid.offsetX, y, grid.cols * grid.cellSize + grid.offsetX, y);
+    if (grid.layout === 'rings') {
+      // Draw ring guides
+      for (let ring = 1; ring <= grid.ringCount; ring++) {
+        const d = ring * grid.cellSize * 2;
+        p.ellipse(center.x, center.y, d, d);
+      }
+    } else if (grid.layout === 'phyllotaxis') {
+      // Draw spiral boundary
+      const d = getPolarRadius() * 2;
+      p.ellipse(center.x, center.y, d, d);
+    } else if (grid.lattice === 'square') {
+      // Draw cell grid
+      for (let col = 0; col <= grid.cols; col++) {
+        const x = col * grid.cellSize + grid.offsetX;
+        p.line(x, grid.offsetY, x, grid.rows * grid.cellSize + grid.offsetY);
+      }
+      
+      for (let row = 0; row <= grid.rows; row++) {
+        const y = row * grid.cellSize + grid.offsetY;
+        p.line(grid.offsetX, y, grid.cols * grid.cellSize + grid.offsetX, y);
+      }
+    } else {
+      // Draw each lattice cell outline
+      for (let row = 0; row < grid.rows; row++) {
+        for (let col = 0; col < grid.cols; col++) {
+          const { x, y } = getCellPosition(col, row);
+          p.beginShape();
+          getCellOutline(x, y).forEach(pt => p.vertex(pt.x, pt.y));
+          p.endShape(p.CLOSE);
+        }
+      }
     }
     
     // Draw center point
-    const center = {
-      x: (grid.cols * grid.cellSize) / 2 + grid.offsetX,
-      y: (grid.rows * grid.cellSize) / 2 + grid.offsetY,
-    };
     p.fill('#ff0000');
     p.noStroke();
     p.ellipse(center.x, center.y, 8, 8);
   }
 
+  // --- Attractor Dragging ---
+  p.mousePressed = () => {
+    if (!field.enabled || !field.showHandles) return;
+    dragHandle = findAttractorHandle(p.mouseX, p.mouseY);
+  };
+  
+  p.mouseDragged = () => {
+    if (!dragHandle) return;
+    moveAttractorHandle(dragHandle.attractor, dragHandle.key, p.mouseX, p.mouseY);
+    refreshUI();
+    p.redraw();
+  };
+  
+  p.mouseReleased = () => {
+    dragHandle = null;
+  };
+
   // --- Window Resize ---
   p.windowResized = () => {
     // Keep canvas size, just redraw
@@ -232,31 +336,39 @@ async function handleFile(p, file) {
       // Load SVG shape
       setStatus('Loading SVG...');
       const data = await loadSVGFile(file);
-      customShape.paths = data.paths;
-      customShape.bounds = data.bounds;
-      customShape.name = file.name;
-      customShape.svgData = data;
+      const asset = addSVGAsset(file.name, data);
       
-      // Switch to custom shape
+      // Switch to the new shape
+      shape.customAsset = asset.id;
       shape.type = 'custom';
+      rebuildShapeSetUI();
       refreshUI();
       
       // Trigger redraw
-      const p5Instance = window._p5Instance;
-      if (p5Instance) p5Instance.redraw();
+      p.redraw();
       
       setStatus('SVG loaded!');
       setTimeout(() => setStatus('Ready'), 2000);
       
+    } else if (type.startsWith('font/') || /\.(ttf|otf|woff)$/.test(name)) {
+      // Load glyph font
+      setStatus('Loading font...');
+      await loadGlyphFont(p, file, file.name);
+      shape.type = 'glyph';
+      refreshUI();
+      p.redraw();
+      
+      setStatus('Font loaded!');
+      setTimeout(() => setStatus('Ready'), 2000);
+      
     } else if (type.startsWith('image/')) {
       // Load as mask
       setStatus('Loading image...');
       const img = await loadImage(p, file);
       mask.image = img;
       mask.enabled = true;
-      
-      const p5Instance = window._p5Instance;
-      if (p5Instance) p5Instance.redraw();
+      refreshUI();
+      p.redraw();
       
       setStatus('Image loaded!');
       setTimeout(() => setStatus('Ready'), 2000);
@@ -268,6 +380,23 @@ async function handleFile(p, file) {
   }
 }
 
+// --- Local Font Handler ---
+async function handleLocalFont(p, name) {
+  try {
+    setStatus('Loading font...');
+    await loadLocalGlyphFont(p, name);
+    shape.type = 'glyph';
+    refreshUI();
+    p.redraw();
+    
+    setStatus('Font loaded!');
+  } catch (err) {
+    console.error('Failed to load local font:', err);
+    setStatus('Font not available');
+  }
+  setTimeout(() => setStatus('Ready'), 2000);
+}
+
 // --- Image Loader ---
 function loadImage(p, file) {
   return new Promise((resolve, reject) => {
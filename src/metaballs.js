@@ -0,0 +1,296 @@
+// ============================================================
+// Metaballs - Cells as field sources contoured into merging blobs
+// ============================================================
+
+import { canvas, shape, metaballs } from './state.js';
+import { getShapeSize, getMaskFactors, getAnimationFactors, getCellAnchor } from './grid.js';
+import { getPaletteColors, toP5Color, toSVGPaint } from './colors.js';
+import { num, wrapSVG } from './shapes/svg.js';
+
+// Marching squares segments per corner case, as pairs of cell edges
+// (0 top, 1 right, 2 bottom, 3 left); corners are top-left 8, top-right 4,
+// bottom-right 2, bottom-left 1. Saddles (5, 10) are resolved separately.
+const SEGMENTS = [
+  [], [[3, 2]], [[2, 1]], [[3, 1]],
+  [[0, 1]], null, [[0, 2]], [[3, 0]],
+  [[3, 0]], [[0, 2]], null, [[0, 1]],
+  [[3, 1]], [[2, 1]], [[3, 2]], [],
+];
+
+/**
+ * Get the field sources of a cell list: drawn positions and shape radii,
+ * including the size animation and the mask
+ * @param {Array} cells - cells from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {Array} - array of {x, y, r}
+ */
+function getSources(cells, time) {
+  const sources = [];
+  for (const cell of cells) {
+    const anim = getAnimationFactors(cell, time);
+    const r = (getShapeSize(cell, time) * anim.size * getMaskFactors(cell.x, cell.y).scale) / 2;
+    if (r <= 0) continue;
+    sources.push({ ...getCellAnchor(cell, time), r });
+  }
+  return sources;
+}
+
+/**
+ * Sum the field of every source on a lattice of sample points. Each source
+ * falls off smoothly to zero at blend times its radius, scaled so that it
+ * is exactly 1 at its radius: a lone cell's contour at threshold 1 is its
+ * shape size. The outer ring of samples stays zero so contours close.
+ * @param {Array} sources - sources from getSources
+ * @param {Object} lattice - {x0, y0, step, cols, rows}
+ * @returns {Float32Array} - values, row by row ((cols + 1) per row)
+ */
+function sampleField(sources, lattice) {
+  const { x0, y0, step, cols, rows } = lattice;
+  const values = new Float32Array((cols + 1) * (rows + 1));
+  const blend = Math.max(metaballs.blend, 1.01);
+  const norm = 1 - 1 / (blend * blend);
+  
+  for (const { x, y, r } of sources) {
+    const reach = r * blend;
+    const reach2 = reach * reach;
+    const i0 = Math.max(1, Math.ceil((x - reach - x0) / step));
+    const i1 = Math.min(cols - 1, Math.floor((x + reach - x0) / step));
+    const j0 = Math.max(1, Math.ceil((y - reach - y0) / step));
+    const j1 = Math.min(rows - 1, Math.floor((y + reach - y0) / step));
+    
+    for (let j = j0; j <= j1; j++) {
+      const dy = y0 + j * step - y;
+      for (let i = i0; i <= i1; i++) {
+        const dx = x0 + i * step - x;
+        const d2 = dx * dx + dy * dy;
+        if (d2 >= reach2) continue;
+        const v = (1 - d2 / reach2) / norm;
+        values[j * (cols + 1) + i] += v * v;
+      }
+    }
+  }
+  return values;
+}
+
+/**
+ * Trace the closed contours of the field at one level with marching
+ * squares. Contours of one level never cross, so filling them even-odd
+ * gives the region above the level.
+ * @param {Float32Array} values - field values from sampleField
+ * @param {Object} lattice - {x0, y0, step, cols, rows}
+ * @param {number} level - iso-level
+ * @returns {Array} - array of closed polygons (arrays of {x, y})
+ */
+function traceContours(values, lattice, level) {
+  const { x0, y0, step, cols, rows } = lattice;
+  const w = cols + 1;
+  const at = (i, j) => values[j * w + i];
+  
+  // Crossing point on a lattice edge, keyed by edge: horizontal edges
+  // (i, j)-(i + 1, j) are even ids, vertical edges (i, j)-(i, j + 1) odd
+  const points = new Map();
+  const edgeId = (i, j, e) => {
+    switch (e) {
+      case 0: return (j * w + i) * 2;
+      case 1: return (j * w + i + 1) * 2 + 1;
+      case 2: return ((j + 1) * w + i) * 2;
+      default: return (j * w + i) * 2 + 1;
+    }
+  };
+  const crossing = id => {
+    if (points.has(id)) return points.get(id);
+    const k = id >> 1;
+    const i = k % w;
+    const j = (k - i) / w;
+    const [i2, j2] = id % 2 === 0 ? [i + 1, j] : [i, j + 1];
+    const a = at(i, j);
+    const t = (level - a) / (at(i2, j2) - a);
+    const pt = { x: x0 + (i + (i2 - i) * t) * step, y: y0 + (j + (j2 - j) * t) * step };
+    points.set(id, pt);
+    return pt;
+  };
+  
+  // Segments as pairs of edge ids, indexed by the edges they touch
+  const segments = [];
+  const byEdge = new Map();
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      const tl = at(i, j) >= level;
+      const tr = at(i + 1, j) >= level;
+      const br = at(i + 1, j + 1) >= level;
+      const bl = at(i, j + 1) >= level;
+      const index = (tl ? 8 : 0) | (tr ? 4 : 0) | (br ? 2 : 0) | (bl ? 1 : 0);
+      
+      let pairs = SEGMENTS[index];
+      if (!pairs) {
+        // Saddle: the center decides which corners connect
+        const center = (at(i, j) + at(i + 1, j) + at(i + 1, j + 1) + at(i, j + 1)) / 4 >= level;
+        pairs = (index === 5) === center ? [[3, 0], [2, 1]] : [[0, 1], [3, 2]];
+      }
+      
+      for (const [e1, e2] of pairs) {
+        const segment = [edgeId(i, j, e1), edgeId(i, j, e2)];
+        for (const id of segment) {
+          if (!byEdge.has(id)) byEdge.set(id, []);
+          byEdge.get(id).push(segments.length);
+        }
+        segments.push(segment);
+      }
+    }
+  }
+  
+  // Join segments into loops through their shared edges
+  const used = new Uint8Array(segments.length);
+  const contours = [];
+  for (let s = 0; s < segments.length; s++) {
+    if (used[s]) continue;
+    used[s] = 1;
+    const [start, first] = segments[s];
+    const loop = [crossing(start)];
+    let id = first;
+    while (id !== start) {
+      // Crossings near a lattice point crowd together; keep one of them
+      const pt = crossing(id);
+      const last = loop[loop.length - 1];
+      if (Math.hypot(pt.x - last.x, pt.y - last.y) > step / 4) loop.push(pt);
+      const next = byEdge.get(id).find(k => !used[k]);
+      if (next === undefined) break;
+      used[next] = 1;
+      id = segments[next][0] === id ? segments[next][1] : segments[next][0];
+    }
+    const end = loop[loop.length - 1];
+    if (loop.length > 3 && Math.hypot(end.x - loop[0].x, end.y - loop[0].y) <= step / 4) loop.pop();
+    if (loop.length >= 3) contours.push(loop);
+  }
+  return contours;
+}
+
+/**
+ * Build the metaball contours of a cell list, one set per iso-level
+ * @param {Array} cells - cells from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {Array} - array of {color, contours}, outer level first
+ */
+export function getMetaballLevels(cells, time = 0) {
+  const step = Math.max(metaballs.resolution, 1);
+  const lattice = {
+    x0: -step,
+    y0: -step,
+    step,
+    cols: Math.ceil(canvas.width / step) + 2,
+    rows: Math.ceil(canvas.height / step) + 2,
+  };
+  const values = sampleField(getSources(cells, time), lattice);
+  
+  const colors = getPaletteColors();
+  const levels = [];
+  for (let k = 0; k < metaballs.levels; k++) {
+    levels.push({
+      color: colors[k % colors.length],
+      contours: traceContours(values, lattice, metaballs.threshold + k * metaballs.levelStep),
+    });
+  }
+  return levels;
+}
+
+/**
+ * Get the Bezier control points of a closed contour. Handles follow the
+ * direction through each point's neighbors and are scaled by the segment
+ * length, so unevenly spaced points don't overshoot; zero smoothing gives
+ * straight segments.
+ * @param {Array} contour - closed polygon
+ * @returns {Array} - array of {c1, c2, to} for each segment, starting from
+ *   the first point
+ */
+function getCurveSegments(contour) {
+  const n = contour.length;
+  const at = i => contour[(i + n) % n];
+  const tangents = contour.map((pt, i) => {
+    const a = at(i - 1);
+    const c = at(i + 1);
+    const len = Math.hypot(c.x - a.x, c.y - a.y) || 1;
+    return { x: (c.x - a.x) / len, y: (c.y - a.y) / len };
+  });
+  
+  const segments = [];
+  for (let i = 0; i < n; i++) {
+    const b = at(i);
+    const c = at(i + 1);
+    const t1 = tangents[i];
+    const t2 = tangents[(i + 1) % n];
+    const k = (Math.hypot(c.x - b.x, c.y - b.y) * metaballs.smoothing) / 3;
+    segments.push({
+      c1: { x: b.x + t1.x * k, y: b.y + t1.y * k },
+      c2: { x: c.x - t2.x * k, y: c.y - t2.y * k },
+      to: c,
+    });
+  }
+  return segments;
+}
+
+/**
+ * Draw metaball levels, outer level first
+ * @param {p5} p - p5 instance
+ * @param {Array} levels - levels from getMetaballLevels
+ * @param {number} scale - scale factor (for exports)
+ */
+export function drawMetaballs(p, levels, scale = 1) {
+  const ctx = p.drawingContext;
+  p.push();
+  p.noStroke();
+  
+  for (const { color, contours } of levels) {
+    if (contours.length === 0) continue;
+    p.fill(toP5Color(p, color, shape.fillOpacity));
+    
+    ctx.beginPath();
+    for (const contour of contours) {
+      ctx.moveTo(contour[0].x * scale, contour[0].y * scale);
+      for (const { c1, c2, to } of getCurveSegments(contour)) {
+        ctx.bezierCurveTo(c1.x * scale, c1.y * scale, c2.x * scale, c2.y * scale, to.x * scale, to.y * scale);
+      }
+      ctx.closePath();
+    }
+    ctx.fill('evenodd');
+  }
+  
+  p.pop();
+}
+
+/**
+ * Convert contours to SVG path data, as curves when smoothing
+ * @param {Array} contours - closed polygons
+ * @returns {string}
+ */
+function contoursToPathData(contours) {
+  let d = '';
+  for (const contour of contours) {
+    d += `M${num(contour[0].x)} ${num(contour[0].y)}`;
+    if (metaballs.smoothing > 0) {
+      for (const { c1, c2, to } of getCurveSegments(contour)) {
+        d += `C${num(c1.x)} ${num(c1.y)} ${num(c2.x)} ${num(c2.y)} ${num(to.x)} ${num(to.y)}`;
+      }
+    } else {
+      for (const pt of contour.slice(1)) d += `L${num(pt.x)} ${num(pt.y)}`;
+    }
+    d += 'Z';
+  }
+  return d;
+}
+
+/**
+ * Generate an SVG of metaball levels, one even-odd path per level
+ * @param {Array} levels - levels from getMetaballLevels
+ * @param {Object} options - {width, height, background, underlay, overlay};
+ *   underlay and overlay as for generateSVG
+ * @returns {string} - SVG XML string
+ */
+export function generateMetaballSVG(levels, options) {
+  let svg = '';
+  levels.forEach(({ color, contours }, k) => {
+    if (contours.length === 0) return;
+    const { paint, opacity } = toSVGPaint(color, shape.fillOpacity);
+    svg += `  <path id="level-${k + 1}" d="${contoursToPathData(contours)}" fill="${paint}" fill-rule="evenodd" fill-opacity="${opacity}"/>\n`;
+  });
+  return wrapSVG(svg, options);
+}
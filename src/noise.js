@@ -0,0 +1,287 @@
+// ============================================================
+// Noise Field - Seeded, looping fractal noise over the grid
+// ============================================================
+
+import { createNoise4D } from 'simplex-noise';
+import { grid, pattern } from './state.js';
+
+// Noise functions are rebuilt only when the seed changes
+let cached = { seed: null, noise4D: null };
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - integer seed
+ * @returns {Function} - returns floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Get the 4D simplex noise function for the current seed
+ * @returns {Function} - noise4D(x, y, z, w) in [-1, 1]
+ */
+function getNoise4D() {
+  if (cached.seed !== pattern.seed) {
+    cached = { seed: pattern.seed, noise4D: createNoise4D(createRandom(pattern.seed)) };
+  }
+  return cached.noise4D;
+}
+
+/**
+ * Hash integer lattice coordinates and the seed to a float in [0, 1)
+ * @param {number} a - first coordinate
+ * @param {number} b - second coordinate
+ * @param {number} c - third coordinate
+ * @param {number} d - fourth coordinate
+ * @returns {number}
+ */
+function hash(a, b, c = 0, d = 0) {
+  let h = Math.imul(pattern.seed | 0, 0x27d4eb2d) ^ 0x9e3779b9;
+  h = Math.imul(h ^ (a | 0), 0x85ebca6b);
+  h = Math.imul(h ^ (b | 0), 0xc2b2ae35);
+  h = Math.imul(h ^ (c | 0), 0x85ebca6b);
+  h = Math.imul(h ^ (d | 0), 0xc2b2ae35);
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x7feb352d);
+  h ^= h >>> 15;
+  return (h >>> 0) / 4294967296;
+}
+
+/**
+ * Quintic fade curve for lattice interpolation
+ * @param {number} t - 0-1
+ * @returns {number}
+ */
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * 4D value noise: smoothly interpolated random lattice values
+ * @param {number} x - x
+ * @param {number} y - y
+ * @param {number} z - z
+ * @param {number} w - w
+ * @returns {number} - value in [-1, 1]
+ */
+function valueNoise4D(x, y, z, w) {
+  const p = [x, y, z, w];
+  const i = p.map(Math.floor);
+  const f = p.map((v, k) => fade(v - i[k]));
+  
+  let result = 0;
+  for (let corner = 0; corner < 16; corner++) {
+    let weight = 1;
+    const c = [0, 0, 0, 0];
+    for (let k = 0; k < 4; k++) {
+      const bit = (corner >> k) & 1;
+      c[k] = i[k] + bit;
+      weight *= bit ? f[k] : 1 - f[k];
+    }
+    result += weight * hash(c[0], c[1], c[2], c[3]);
+  }
+  return result * 2 - 1;
+}
+
+/**
+ * Worley (cellular) noise. Each lattice cell holds one feature point that
+ * orbits its rest position as (z, w) travels the loop circle, so animated
+ * cellular patterns loop as well.
+ * @param {number} x - x
+ * @param {number} y - y
+ * @param {number} z - loop circle z
+ * @param {number} w - loop circle w
+ * @param {string} mode - f1, f2, or f2f1
+ * @returns {number} - value in [-1, 1]
+ */
+function worley(x, y, z, w, mode) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  let f1 = Infinity;
+  let f2 = Infinity;
+  
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      const cx = ix + dx;
+      const cy = iy + dy;
+      const angle = hash(cx, cy, 2) * Math.PI * 2;
+      const orbit = 0.25 / Math.max(pattern.noiseSpeed, 1);
+      const px = cx + 0.2 + hash(cx, cy, 0) * 0.6 + (z * Math.cos(angle) - w * Math.sin(angle)) * orbit;
+      const py = cy + 0.2 + hash(cx, cy, 1) * 0.6 + (z * Math.sin(angle) + w * Math.cos(angle)) * orbit;
+      const d = Math.hypot(px - x, py - y);
+      
+      if (d < f1) {
+        f2 = f1;
+        f1 = d;
+      } else if (d < f2) {
+        f2 = d;
+      }
+    }
+  }
+  
+  let v;
+  switch (mode) {
+    case 'f2': v = f2 / 1.5; break;
+    case 'f2f1': v = f2 - f1; break;
+    default: v = f1;
+  }
+  return Math.min(v, 1) * 2 - 1;
+}
+
+/**
+ * Get the base (single octave) noise function for the current noise type
+ * @returns {Function} - noise(x, y, z, w) in [-1, 1]
+ */
+function getBaseNoise() {
+  switch (pattern.noiseType) {
+    case 'value': return valueNoise4D;
+    case 'worleyF1': return (x, y, z, w) => worley(x, y, z, w, 'f1');
+    case 'worleyF2': return (x, y, z, w) => worley(x, y, z, w, 'f2');
+    case 'worleyF2F1': return (x, y, z, w) => worley(x, y, z, w, 'f2f1');
+    default: return getNoise4D();
+  }
+}
+
+/**
+ * Fractal sum of noise octaves in one of the supported variants
+ * @param {Function} base - single octave noise function
+ * @param {number} x - noise space x
+ * @param {number} y - noise space y
+ * @param {number} z - loop circle z
+ * @param {number} w - loop circle w
+ * @returns {number} - value in [-1, 1]
+ */
+function fbm(base, x, y, z, w) {
+  const octaves = Math.max(1, Math.round(pattern.noiseOctaves));
+  let amp = 1;
+  let freq = 1;
+  let sum = 0;
+  let norm = 0;
+  
+  for (let i = 0; i < octaves; i++) {
+    // Offset each octave so they don't line up at the origin
+    let n = base(x * freq + i * 17.1, y * freq - i * 31.7, z, w);
+    
+    switch (pattern.noiseVariant) {
+      case 'ridged': {
+        const r = 1 - Math.abs(n);
+        n = r * r * 2 - 1;
+        break;
+      }
+      case 'billow':
+        n = Math.abs(n) * 2 - 1;
+        break;
+    }
+    
+    sum += n * amp;
+    norm += amp;
+    amp *= pattern.noiseGain;
+    freq *= pattern.noiseLacunarity;
+  }
+  
+  return norm > 0 ? sum / norm : 0;
+}
+
+/**
+ * Sample the (optionally domain-warped) fractal field in noise space
+ * @param {Function} base - single octave noise function
+ * @param {number} nx - noise space x
+ * @param {number} ny - noise space y
+ * @param {number} z - loop circle z
+ * @param {number} w - loop circle w
+ * @returns {number} - value in [-1, 1]
+ */
+function sampleField(base, nx, ny, z, w) {
+  // Domain warping: displace the lookup by two decorrelated fBm samples
+  if (pattern.noiseWarp > 0) {
+    const wx = fbm(base, nx + 5.2, ny + 1.3, z, w);
+    const wy = fbm(base, nx - 9.7, ny + 2.8, z, w);
+    nx += wx * pattern.noiseWarp;
+    ny += wy * pattern.noiseWarp;
+  }
+  
+  return fbm(base, nx, ny, z, w);
+}
+
+/**
+ * Map a canvas position and time into noise space. Animated noise walks
+ * a circle through the extra two dimensions so it loops seamlessly once
+ * per animation loop.
+ * @param {number} x - x position in pixels
+ * @param {number} y - y position in pixels
+ * @param {number} time - animation time (0-1)
+ * @param {number} channel - decorrelated channel index
+ * @returns {Object} - {nx, ny, z, w}
+ */
+function toNoiseSpace(x, y, time, channel) {
+  // Noise scale is measured per cell so patterns survive cell size changes
+  const angle = time * Math.PI * 2;
+  return {
+    nx: (x / grid.cellSize) * pattern.noiseScale + channel * 113.7,
+    ny: (y / grid.cellSize) * pattern.noiseScale - channel * 71.3,
+    z: Math.cos(angle) * pattern.noiseSpeed,
+    w: Math.sin(angle) * pattern.noiseSpeed,
+  };
+}
+
+/**
+ * Curl of the simplex fBm potential (a divergence-free flow field)
+ * @param {Object} n - noise space position from toNoiseSpace
+ * @returns {Object} - {x, y} flow vector
+ */
+function curl(n) {
+  const base = getNoise4D();
+  const e = 0.01;
+  const dx = sampleField(base, n.nx + e, n.ny, n.z, n.w) - sampleField(base, n.nx - e, n.ny, n.z, n.w);
+  const dy = sampleField(base, n.nx, n.ny + e, n.z, n.w) - sampleField(base, n.nx, n.ny - e, n.z, n.w);
+  return { x: dy / (2 * e), y: -dx / (2 * e) };
+}
+
+/**
+ * Sample the pattern noise field at a canvas position. Curl noise returns
+ * its flow direction mapped to 0-1 (0 and 1 both pointing along -x).
+ * @param {number} x - x position in pixels
+ * @param {number} y - y position in pixels
+ * @param {number} time - animation time (0-1)
+ * @param {number} channel - decorrelated channel index (0 for the main value)
+ * @returns {number} - noise value (0-1)
+ */
+export function sampleNoise(x, y, time = 0, channel = 0) {
+  const n = toNoiseSpace(x, y, time, channel);
+  
+  if (pattern.noiseType === 'curl') {
+    const v = curl(n);
+    return Math.atan2(v.y, v.x) / (Math.PI * 2) + 0.5;
+  }
+  
+  return (sampleField(getBaseNoise(), n.nx, n.ny, n.z, n.w) + 1) * 0.5;
+}
+
+/**
+ * Sample a 2D displacement from the noise field. Curl noise gives its unit
+ * flow direction; other types use two decorrelated channels.
+ * @param {number} x - x position in pixels
+ * @param {number} y - y position in pixels
+ * @param {number} time - animation time (0-1)
+ * @returns {Object} - {x, y}, each in [-1, 1]
+ */
+export function sampleNoiseVector(x, y, time = 0) {
+  if (pattern.noiseType === 'curl') {
+    const v = curl(toNoiseSpace(x, y, time, 0));
+    const len = Math.hypot(v.x, v.y) || 1;
+    return { x: v.x / len, y: v.y / len };
+  }
+  
+  return {
+    x: sampleNoise(x, y, time, 1) * 2 - 1,
+    y: sampleNoise(x, y, time, 2) * 2 - 1,
+  };
+}
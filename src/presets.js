@@ -2,7 +2,9 @@
 // Preset System - Save/Load configurations
 // ============================================================
 
-import { canvas, grid, shape, pattern, animation, palette, customShape, cloneState, applyState } from './state.js';
+import { canvas, grid, shape, pattern, animation, palette, field, shapeSet, morph, nesting, truchet, lines, metaballs, voronoi, connections, glyph, assets, cloneState, applyState } from './state.js';
+import { importSVGAssets } from './assets.js';
+import { stopsFromColors } from './colors.js';
 
 // Built-in presets
 const builtInPresets = {
@@ -68,6 +70,13 @@ const builtInPresets = {
     palette: { colors: ['#1a1a2e', '#16213e', '#0f3460', '#533483', '#e94560'] },
   },
   
+  'Shape Mix': {
+    grid: { cols: 14, rows: 14, cellSize: 45, symmetry: 'none' },
+    shape: { size: 0.8, rotation: 0, scaleMode: 'easeOut', scaleMin: 0.3, scaleMax: 1.0, fillMode: 'palette' },
+    shapeSet: { enabled: true, rule: 'checker', shapes: ['circle', 'square', 'diamond'] },
+    palette: { colors: ['#264653', '#2a9d8f', '#e9c46a', '#f4a261', '#e76f51'] },
+  },
+  
   'Retro Grid': {
     grid: { cols: 12, rows: 8, cellSize: 60, symmetry: 'horizontal' },
     shape: { type: 'square', size: 0.5, rotation: 0, scaleMode: 'linear', scaleMin: 0.3, scaleMax: 1.0 },
@@ -112,6 +121,9 @@ export function loadPreset(name) {
   const preset = builtInPresets[name] || userPresets[name];
   if (!preset) return false;
   
+  // Built-in presets only set a few sections; start from the defaults so
+  // modes left on (Truchet tiles and the like) don't carry over
+  if (builtInPresets[name]) resetToDefault();
   applyPreset(preset);
   return true;
 }
@@ -125,10 +137,25 @@ function applyPreset(preset) {
   if (preset.shape) applyState(shape, preset.shape);
   if (preset.pattern) applyState(pattern, preset.pattern);
   if (preset.animation) applyState(animation, preset.animation);
+  if (preset.field) applyState(field, cloneState(preset.field));
+  // Assets first so the shape set never references a missing SVG
+  if (preset.assets) importSVGAssets(cloneState(preset.assets.svgs || []));
+  if (preset.shapeSet) applyState(shapeSet, cloneState(preset.shapeSet));
+  if (preset.morph) applyState(morph, preset.morph);
+  if (preset.nesting) applyState(nesting, preset.nesting);
+  if (preset.truchet) applyState(truchet, preset.truchet);
+  if (preset.lines) applyState(lines, preset.lines);
+  if (preset.metaballs) applyState(metaballs, preset.metaballs);
+  if (preset.voronoi) applyState(voronoi, preset.voronoi);
+  if (preset.connections) applyState(connections, preset.connections);
+  if (preset.glyph) applyState(glyph, preset.glyph);
   if (preset.palette) {
-    if (preset.palette.colors) {
-      palette.colors = [...preset.palette.colors];
-    }
+    // Older presets (and the built-ins) list evenly spaced colors mixed in sRGB
+    const { stops, colors, interpolation, hue } = preset.palette;
+    if (stops) palette.stops = cloneState(stops);
+    else if (colors) palette.stops = stopsFromColors(colors);
+    palette.interpolation = interpolation || 'srgb';
+    palette.hue = hue || 'shorter';
   }
   if (preset.canvas) applyState(canvas, preset.canvas);
 }
@@ -143,7 +170,18 @@ export function saveUserPreset(name) {
     shape: cloneState(shape),
     pattern: cloneState(pattern),
     animation: cloneState(animation),
-    palette: { colors: [...palette.colors] },
+    field: cloneState(field),
+    shapeSet: cloneState(shapeSet),
+    morph: cloneState(morph),
+    nesting: cloneState(nesting),
+    truchet: cloneState(truchet),
+    lines: cloneState(lines),
+    metaballs: cloneState(metaballs),
+    voronoi: cloneState(voronoi),
+    connections: cloneState(connections),
+    glyph: { text: glyph.text, select: glyph.select },
+    assets: cloneState(assets),
+    palette: { stops: cloneState(palette.stops), interpolation: palette.interpolation, hue: palette.hue },
     canvas: { background: canvas.background },
   };
 }
@@ -158,7 +196,18 @@ export function exportCurrentState() {
     shape: cloneState(shape),
     pattern: cloneState(pattern),
     animation: cloneState(animation),
-    palette: { colors: [...palette.colors] },
+    field: cloneState(field),
+    shapeSet: cloneState(shapeSet),
+    morph: cloneState(morph),
+    nesting: cloneState(nesting),
+    truchet: cloneState(truchet),
+    lines: cloneState(lines),
+    metaballs: cloneState(metaballs),
+    voronoi: cloneState(voronoi),
+    connections: cloneState(connections),
+    glyph: { text: glyph.text, select: glyph.select },
+    assets: cloneState(assets),
+    palette: { stops: cloneState(palette.stops), interpolation: palette.interpolation, hue: palette.hue },
     canvas: { background: canvas.background },
   };
   return JSON.stringify(data, null, 2);
@@ -198,8 +247,16 @@ function resetToDefault() {
   grid.cellSize = 60;
   grid.offsetX = 0;
   grid.offsetY = 0;
+  grid.layout = 'grid';
+  grid.ringCount = 6;
+  grid.ringItems = 6;
+  grid.ringGrowth = 'radius';
+  grid.spiralCount = 200;
+  grid.spiralAngle = 137.508;
+  grid.lattice = 'square';
   grid.symmetry = 'none';
   grid.symmetryCount = 6;
+  grid.tileSize = 6;
   
   // Shape defaults
   shape.type = 'circle';
@@ -209,25 +266,162 @@ function resetToDefault() {
   shape.scaleMode = 'linear';
   shape.scaleMin = 0.2;
   shape.scaleMax = 1.0;
+  shape.sides = 5;
+  shape.starPoints = 5;
+  shape.innerRatio = 0.5;
+  shape.crossThickness = 0.3;
+  shape.superM = 6;
+  shape.superN1 = 2;
+  shape.superN2 = 2;
+  shape.superN3 = 2;
+  shape.superA = 1;
+  shape.superB = 1;
+  shape.ellipseExponent = 4;
+  shape.paramMode = 'none';
+  shape.sidesEdge = 8;
+  shape.starPointsEdge = 10;
+  shape.innerRatioEdge = 0.2;
+  shape.crossThicknessEdge = 0.6;
+  shape.superMEdge = 6;
+  shape.superN1Edge = 0.5;
+  shape.superN2Edge = 0.5;
+  shape.superN3Edge = 0.5;
+  shape.superAEdge = 1;
+  shape.superBEdge = 1;
+  shape.ellipseExponentEdge = 1;
   shape.fillMode = 'solid';
   shape.fillColor = '#4a9eff';
   shape.strokeMode = 'none';
+  shape.svgColors = 'cell';
   shape.blendMode = 'blend';
   
+  // Shape set defaults (imported SVGs are kept)
+  shapeSet.enabled = false;
+  shapeSet.rule = 'distance';
+  shapeSet.shapes = ['circle', 'square', 'triangle'];
+  
+  // Morph defaults
+  morph.enabled = false;
+  morph.from = 'circle';
+  morph.to = 'star';
+  morph.driver = 'distance';
+  morph.easing = 'linear';
+  
+  // Nesting defaults
+  nesting.enabled = false;
+  nesting.copies = 3;
+  nesting.scaleStep = 0.25;
+  nesting.offsetStep = 0;
+  nesting.rotationStep = 0;
+  nesting.colors = 'palette';
+  
+  // Truchet defaults
+  truchet.enabled = false;
+  truchet.tile = 'arcs';
+  truchet.orient = 'random';
+  truchet.lineWidth = 6;
+  
+  // Line mode defaults
+  lines.enabled = false;
+  lines.displacement = 1.5;
+  lines.widthMin = 0.5;
+  lines.widthMax = 4;
+  lines.smooth = true;
+  lines.occlude = true;
+  lines.colorMode = 'cell';
+  lines.output = 'outline';
+  
+  // Metaball defaults
+  metaballs.enabled = false;
+  metaballs.threshold = 1;
+  metaballs.blend = 2;
+  metaballs.levels = 1;
+  metaballs.levelStep = 0.5;
+  metaballs.resolution = 4;
+  metaballs.smoothing = 1;
+  
+  // Voronoi defaults
+  voronoi.enabled = false;
+  voronoi.style = 'regions';
+  voronoi.gap = 2;
+  voronoi.rounding = 0;
+  
+  // Connection defaults
+  connections.enabled = false;
+  connections.mode = 'adjacent';
+  connections.k = 3;
+  connections.radius = 1.5;
+  connections.weight = 1.5;
+  connections.weightMap = 'none';
+  connections.opacity = 0.6;
+  connections.opacityMap = 'none';
+  connections.curvature = 0;
+  connections.curveMap = 'none';
+  connections.colorMode = 'cell';
+  connections.color = '#ffffff';
+  connections.above = false;
+  
+  // Glyph defaults (the loaded font is kept)
+  glyph.text = 'FLAKE';
+  glyph.select = 'index';
+  
   // Pattern defaults
   pattern.enabled = false;
   pattern.seed = 1;
+  pattern.noiseType = 'simplex';
   pattern.noiseScale = 0.1;
   pattern.noiseIntensity = 0.5;
+  pattern.noiseOctaves = 1;
+  pattern.noiseLacunarity = 2.0;
+  pattern.noiseGain = 0.5;
+  pattern.noiseVariant = 'fbm';
+  pattern.noiseWarp = 0;
+  pattern.noiseSpeed = 0.5;
+  pattern.noiseToSize = true;
+  pattern.noiseToRotation = false;
+  pattern.noiseRotation = 180;
+  pattern.noiseToColor = false;
+  pattern.noiseColor = 0.5;
+  pattern.noiseToPosition = false;
+  pattern.noisePosition = 0.25;
+  pattern.jitter = 0;
+  pattern.jitterMode = 'random';
+  
+  // Attractor defaults
+  field.enabled = false;
+  field.attractors = [];
   
   // Animation defaults
   animation.enabled = false;
   animation.playing = false;
   animation.speed = 1;
   animation.loopDuration = 120;
+  animation.animateSize = true;
+  animation.animateRotation = false;
+  animation.animateOpacity = false;
+  animation.animateShape = false;
+  animation.sizeRange = 0.3;
+  animation.rotationRange = 180;
+  animation.opacityRange = 0.5;
+  animation.phaseMode = 'distance';
+  animation.frequency = 1;
+  animation.wavelength = 0.5;
+  animation.phaseAngle = 45;
+  animation.phaseReverse = false;
+  animation.animateColor = false;
+  animation.colorMode = 'rotate';
+  animation.colorShift = 0.1;
+  animation.colorPhase = true;
+  animation.animatePosition = false;
+  animation.positionRange = 10;
+  animation.positionMode = 'orbit';
+  animation.positionAxis = 'rows';
+  animation.positionWavelength = 8;
   
   // Palette defaults
-  palette.colors = ['#4a9eff', '#ff6b6b', '#4ecdc4', '#ffe66d', '#a8e6cf'];
+  palette.stops = stopsFromColors(['#4a9eff', '#ff6b6b', '#4ecdc4', '#ffe66d', '#a8e6cf']);
+  palette.interpolation = 'srgb';
+  palette.hue = 'shorter';
   
   // Canvas defaults
   canvas.background = '#111111';
@@ -0,0 +1,250 @@
+// ============================================================
+// Glyph Shapes - Font outlines as custom shapes
+// ============================================================
+
+import { glyph } from '../state.js';
+
+// Loaded font (p5.Font with glyph data) and the p5 instance it belongs to
+let font = null;
+let fontOwner = null;
+let fontVersion = 0;
+
+// Glyph assets for the current font and text, rebuilt when either changes
+let cache = { key: null, frame: null, assets: new Map() };
+
+// Curve segments per bezier when flattening outlines
+const CURVE_STEPS = 8;
+
+/**
+ * Load a font file (.ttf, .otf or .woff) for glyph shapes
+ * @param {p5} p - p5 instance
+ * @param {Blob} file - font file
+ * @param {string} name - display name
+ * @returns {Promise<void>}
+ */
+export async function loadGlyphFont(p, file, name) {
+  const url = URL.createObjectURL(file);
+  try {
+    const loaded = await p.loadFont(url);
+    // Without parsed glyph data p5 falls back to a CSS font face
+    if (!loaded || !loaded.data) {
+      throw new Error('Font has no readable glyph outlines');
+    }
+    font = loaded;
+    fontOwner = p;
+    fontVersion++;
+    glyph.fontName = name;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Load an installed font by name through the Local Font Access API
+ * @param {p5} p - p5 instance
+ * @param {string} name - full name, PostScript name or family
+ * @returns {Promise<void>}
+ */
+export async function loadLocalGlyphFont(p, name) {
+  if (typeof window.queryLocalFonts !== 'function') {
+    throw new Error('Local font access is not supported in this browser');
+  }
+  
+  const wanted = name.trim().toLowerCase();
+  const fonts = await window.queryLocalFonts();
+  const match = fonts.find(f => [f.fullName, f.postscriptName, f.family].some(n => n.toLowerCase() === wanted));
+  if (!match) {
+    throw new Error(`Font not found: ${name}`);
+  }
+  
+  await loadGlyphFont(p, await match.blob(), match.fullName);
+}
+
+/**
+ * Check if a font with glyph data is loaded
+ * @returns {boolean}
+ */
+export function hasGlyphFont() {
+  return font !== null;
+}
+
+/**
+ * Get the path commands of a character at a fixed text size
+ * @param {string} ch - character
+ * @returns {Array} - p5 path commands (['M', x, y], ['C', ...], ...)
+ */
+function getGlyphCommands(ch) {
+  const p = fontOwner;
+  p.push();
+  p.textFont(font);
+  p.textSize(100);
+  p.textAlign(p.LEFT, p.BASELINE);
+  const commands = font.textToPaths(ch, 0, 0);
+  p.pop();
+  return commands;
+}
+
+/**
+ * Flatten path commands into closed polylines
+ * @param {Array} commands - p5 path commands
+ * @returns {Array} - array of polylines (arrays of {x, y})
+ */
+function flattenCommands(commands) {
+  const lines = [];
+  let line = null;
+  let cur = { x: 0, y: 0 };
+  
+  for (const [type, ...a] of commands) {
+    if (type === 'M' || !line) {
+      line = [];
+      lines.push(line);
+    }
+    
+    switch (type) {
+      case 'M':
+      case 'L':
+        cur = { x: a[0], y: a[1] };
+        line.push(cur);
+        break;
+      case 'Q':
+        for (let i = 1; i <= CURVE_STEPS; i++) {
+          const t = i / CURVE_STEPS;
+          const u = 1 - t;
+          line.push({
+            x: u * u * cur.x + 2 * u * t * a[0] + t * t * a[2],
+            y: u * u * cur.y + 2 * u * t * a[1] + t * t * a[3],
+          });
+        }
+        cur = { x: a[2], y: a[3] };
+        break;
+      case 'C':
+        for (let i = 1; i <= CURVE_STEPS; i++) {
+          const t = i / CURVE_STEPS;
+          const u = 1 - t;
+          line.push({
+            x: u * u * u * cur.x + 3 * u * u * t * a[0] + 3 * u * t * t * a[2] + t * t * t * a[4],
+            y: u * u * u * cur.y + 3 * u * u * t * a[1] + 3 * u * t * t * a[3] + t * t * t * a[5],
+          });
+        }
+        cur = { x: a[4], y: a[5] };
+        break;
+      case 'Z':
+        if (line.length > 0) line.push({ ...line[0] });
+        cur = line[0] || cur;
+        line = null;
+        break;
+    }
+  }
+  
+  return lines.filter(l => l.length >= 2);
+}
+
+/**
+ * Convert path commands to SVG path data
+ * @param {Array} commands - p5 path commands
+ * @returns {string}
+ */
+function commandsToPathData(commands) {
+  return commands
+    .map(([type, ...a]) => type + a.map(v => Math.round(v * 1000) / 1000).join(' '))
+    .join('');
+}
+
+/**
+ * Get the bounding box of polylines
+ * @param {Array} lines - array of polylines
+ * @returns {Object|null} - {x0, y0, x1, y1}
+ */
+function getLinesBox(lines) {
+  let box = null;
+  for (const line of lines) {
+    for (const pt of line) {
+      if (!box) {
+        box = { x0: pt.x, y0: pt.y, x1: pt.x, y1: pt.y };
+      } else {
+        box.x0 = Math.min(box.x0, pt.x);
+        box.y0 = Math.min(box.y0, pt.y);
+        box.x1 = Math.max(box.x1, pt.x);
+        box.y1 = Math.max(box.y1, pt.y);
+      }
+    }
+  }
+  return box;
+}
+
+/**
+ * Get the frame shared by every glyph of the current text: the vertical
+ * extent of all its characters, and a square size fitting the widest one.
+ * Sharing it keeps relative glyph sizes and baselines, which ASCII-art
+ * ramps depend on.
+ * @returns {Object} - {y, size}: frame center y and side length
+ */
+function getTextFrame() {
+  let y0 = Infinity;
+  let y1 = -Infinity;
+  let width = 0;
+  
+  for (const ch of new Set(Array.from(glyph.text))) {
+    if (!ch.trim()) continue;
+    const box = getLinesBox(flattenCommands(getGlyphCommands(ch)));
+    if (!box) continue;
+    y0 = Math.min(y0, box.y0);
+    y1 = Math.max(y1, box.y1);
+    width = Math.max(width, box.x1 - box.x0);
+  }
+  
+  // Only blank characters: nothing is drawn, any frame will do
+  if (y0 > y1) return { y: 0, size: 100 };
+  return { y: (y0 + y1) / 2, size: Math.max(y1 - y0, width) };
+}
+
+/**
+ * Build the shape asset of a character
+ * @param {string} ch - character
+ * @param {Object} frame - frame from getTextFrame
+ * @returns {Object|null} - asset {id, name, paths, bounds, outline}
+ */
+function buildGlyphAsset(ch, frame) {
+  const commands = getGlyphCommands(ch);
+  const lines = flattenCommands(commands);
+  const box = getLinesBox(lines);
+  if (!box) return null;
+  
+  // Center each glyph horizontally, keep the shared baseline vertically
+  const cx = (box.x0 + box.x1) / 2;
+  const { y: cy, size } = frame;
+  
+  return {
+    id: `glyph-${fontVersion}-${ch.codePointAt(0)}`,
+    name: ch,
+    paths: [{
+      type: 'path',
+      d: commandsToPathData(commands),
+      fillRule: 'nonzero',
+      fill: '#000000',
+      stroke: null,
+      strokeWidth: 0,
+    }],
+    bounds: { x: cx - size / 2, y: cy - size / 2, width: size, height: size },
+    outline: lines.map(line => line.map(pt => ({ x: (pt.x - cx) / size, y: (pt.y - cy) / size }))),
+  };
+}
+
+/**
+ * Get the shape asset of a character in the loaded font
+ * @param {string} ch - character
+ * @returns {Object|null} - asset, or null without a font or for blank characters
+ */
+export function getGlyphAsset(ch) {
+  if (!font || !ch || !ch.trim()) return null;
+  
+  const key = `${fontVersion}|${glyph.text}`;
+  if (cache.key !== key) {
+    cache = { key, frame: getTextFrame(), assets: new Map() };
+  }
+  
+  if (!cache.assets.has(ch)) {
+    cache.assets.set(ch, buildGlyphAsset(ch, cache.frame));
+  }
+  return cache.assets.get(ch);
+}
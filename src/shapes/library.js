@@ -73,6 +73,29 @@ export function drawHexagon(p, x, y, size, rotation = 0) {
   p.pop();
 }
 
+/**
+ * Draw a regular polygon (n-gon) with a vertex pointing up
+ * @param {p5} p - p5 instance
+ * @param {number} x - center x
+ * @param {number} y - center y
+ * @param {number} size - diameter
+ * @param {number} rotation - rotation in degrees
+ * @param {number} sides - number of sides (default 5)
+ */
+export function drawPolygon(p, x, y, size, rotation = 0, sides = 5) {
+  p.push();
+  p.translate(x, y);
+  p.rotate(p.radians(rotation - 90)); // -90 to point upward
+  const r = size / 2;
+  p.beginShape();
+  for (let i = 0; i < sides; i++) {
+    const angle = (p.TWO_PI / sides) * i;
+    p.vertex(p.cos(angle) * r, p.sin(angle) * r);
+  }
+  p.endShape(p.CLOSE);
+  p.pop();
+}
+
 /**
  * Draw a star shape
  * @param {p5} p - p5 instance
@@ -135,14 +158,28 @@ export function drawCross(p, x, y, size, rotation = 0, thickness = 0.3) {
   p.push();
   p.translate(x, y);
   p.rotate(p.radians(rotation));
-  p.rectMode(p.CENTER);
-  const t = size * thickness;
+  const t = (size * thickness) / 2;
   const r = size / 2;
-  p.rect(0, 0, t, size);
-  p.rect(0, 0, size, t);
+  p.beginShape();
+  for (const pt of crossOutline(r, t)) p.vertex(pt.x, pt.y);
+  p.endShape(p.CLOSE);
   p.pop();
 }
 
+/**
+ * Get the outline of a cross/plus
+ * @param {number} r - half the arm length
+ * @param {number} t - half the arm thickness
+ * @returns {Array} - array of {x, y} points
+ */
+function crossOutline(r, t) {
+  return [
+    { x: -t, y: -r }, { x: t, y: -r }, { x: t, y: -t }, { x: r, y: -t },
+    { x: r, y: t }, { x: t, y: t }, { x: t, y: r }, { x: -t, y: r },
+    { x: -t, y: t }, { x: -r, y: t }, { x: -r, y: -t }, { x: -t, y: -t },
+  ];
+}
+
 /**
  * Draw a heart shape
  * @param {p5} p - p5 instance
@@ -168,6 +205,105 @@ export function drawHeart(p, x, y, size, rotation = 0) {
   p.pop();
 }
 
+/**
+ * Sample a Gielis superformula outline, scaled so its farthest point
+ * lies on the shape's radius
+ * @param {number} size - diameter
+ * @param {Object} params - {m, n1, n2, n3, a, b}
+ * @param {number} samples - number of vertices
+ * @returns {Array} - array of {x, y} points
+ */
+export function superformulaPoints(size, params = {}, samples = 256) {
+  const { m = 6, n1 = 2, n2 = 2, n3 = 2, a = 1, b = 1 } = params;
+  const safe = v => (Math.abs(v) < 1e-3 ? 1e-3 : v);
+  const radii = [];
+  let maxR = 0;
+  
+  for (let i = 0; i < samples; i++) {
+    const phi = (Math.PI * 2 * i) / samples;
+    const t = (m * phi) / 4;
+    const sum = Math.pow(Math.abs(Math.cos(t) / safe(a)), n2) + Math.pow(Math.abs(Math.sin(t) / safe(b)), n3);
+    let r = Math.pow(sum, -1 / safe(n1));
+    if (!Number.isFinite(r)) r = 0;
+    radii.push(r);
+    maxR = Math.max(maxR, r);
+  }
+  
+  // -90 to point upward, like the star
+  const scale = maxR > 0 ? size / 2 / maxR : 0;
+  return radii.map((r, i) => {
+    const phi = (Math.PI * 2 * i) / samples - Math.PI / 2;
+    return { x: Math.cos(phi) * r * scale, y: Math.sin(phi) * r * scale };
+  });
+}
+
+/**
+ * Sample a superellipse outline |x|^e + |y|^e = 1
+ * @param {number} size - width/height
+ * @param {number} exponent - exponent (2 is a circle, higher is squarer)
+ * @param {number} samples - number of vertices
+ * @returns {Array} - array of {x, y} points
+ */
+export function superellipsePoints(size, exponent = 4, samples = 128) {
+  const r = size / 2;
+  const p = 2 / Math.max(exponent, 0.05);
+  const points = [];
+  
+  for (let i = 0; i < samples; i++) {
+    const t = (Math.PI * 2 * i) / samples;
+    const c = Math.cos(t);
+    const sn = Math.sin(t);
+    points.push({
+      x: Math.sign(c) * Math.pow(Math.abs(c), p) * r,
+      y: Math.sign(sn) * Math.pow(Math.abs(sn), p) * r,
+    });
+  }
+  return points;
+}
+
+/**
+ * Draw a closed outline
+ * @param {p5} p - p5 instance
+ * @param {number} x - center x
+ * @param {number} y - center y
+ * @param {number} rotation - rotation in degrees
+ * @param {Array} points - array of {x, y} points centered at the origin
+ */
+export function drawOutline(p, x, y, rotation, points) {
+  p.push();
+  p.translate(x, y);
+  p.rotate(p.radians(rotation));
+  p.beginShape();
+  for (const pt of points) p.vertex(pt.x, pt.y);
+  p.endShape(p.CLOSE);
+  p.pop();
+}
+
+/**
+ * Draw closed contours as one shape (nonzero fill, so counter-clockwise
+ * contours inside clockwise ones are holes)
+ * @param {p5} p - p5 instance
+ * @param {number} x - center x
+ * @param {number} y - center y
+ * @param {number} size - scale applied to the contours
+ * @param {number} rotation - rotation in degrees
+ * @param {Array} contours - array of polygons centered at the origin
+ */
+export function drawContours(p, x, y, size, rotation, contours) {
+  if (contours.length === 0) return;
+  p.push();
+  p.translate(x, y);
+  p.rotate(p.radians(rotation));
+  p.beginShape();
+  for (const line of contours) {
+    p.beginContour();
+    for (const pt of line) p.vertex(pt.x * size, pt.y * size);
+    p.endContour(p.CLOSE);
+  }
+  p.endShape();
+  p.pop();
+}
+
 /**
  * Main shape drawing function - dispatches to specific shape
  * @param {p5} p - p5 instance
@@ -176,8 +312,9 @@ export function drawHeart(p, x, y, size, rotation = 0) {
  * @param {number} y - center y
  * @param {number} size - size
  * @param {number} rotation - rotation in degrees
+ * @param {Object} params - shape parameters from getShapeParams
  */
-export function drawShape(p, type, x, y, size, rotation = 0) {
+export function drawShape(p, type, x, y, size, rotation = 0, params = {}) {
   switch (type) {
     case 'circle':
       drawCircle(p, x, y, size);
@@ -191,23 +328,95 @@ export function drawShape(p, type, x, y, size, rotation = 0) {
     case 'hexagon':
       drawHexagon(p, x, y, size, rotation);
       break;
+    case 'polygon':
+      drawPolygon(p, x, y, size, rotation, params.sides);
+      break;
     case 'star':
-      drawStar(p, x, y, size, rotation);
+      drawStar(p, x, y, size, rotation, params.points, params.innerRatio);
       break;
     case 'diamond':
       drawDiamond(p, x, y, size, rotation);
       break;
     case 'cross':
-      drawCross(p, x, y, size, rotation);
+      drawCross(p, x, y, size, rotation, params.thickness);
       break;
     case 'heart':
       drawHeart(p, x, y, size, rotation);
       break;
+    case 'superformula':
+      drawOutline(p, x, y, rotation, superformulaPoints(size, params));
+      break;
+    case 'superellipse':
+      drawOutline(p, x, y, rotation, superellipsePoints(size, params.exponent));
+      break;
     default:
       drawCircle(p, x, y, size);
   }
 }
 
+/**
+ * Get the outline of a built-in shape as a polygon centered at the origin
+ * (unrotated), matching what the draw functions above render
+ * @param {string} type - shape type
+ * @param {number} size - size
+ * @param {Object} params - shape parameters from getShapeParams
+ * @returns {Array|null} - array of {x, y} points, or null for circles
+ */
+export function getShapePoints(type, size, params = {}) {
+  const r = size / 2;
+  const polar = (count, radiusAt, offset = 0) => {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+      const angle = offset + (Math.PI * 2 * i) / count;
+      const pr = radiusAt(i);
+      points.push({ x: Math.cos(angle) * pr, y: Math.sin(angle) * pr });
+    }
+    return points;
+  };
+  
+  switch (type) {
+    case 'square':
+      return [
+        { x: -r, y: -r }, { x: r, y: -r }, { x: r, y: r }, { x: -r, y: r },
+      ];
+    case 'triangle':
+      return [
+        { x: 0, y: -r }, { x: -r * 0.866, y: r * 0.5 }, { x: r * 0.866, y: r * 0.5 },
+      ];
+    case 'hexagon':
+      return polar(6, () => r);
+    case 'polygon':
+      return polar(params.sides ?? 5, () => r, -Math.PI / 2);
+    case 'star': {
+      const points = params.points ?? 5;
+      const innerRatio = params.innerRatio ?? 0.5;
+      return polar(points * 2, i => (i % 2 === 0 ? r : r * innerRatio), -Math.PI / 2);
+    }
+    case 'diamond':
+      return [
+        { x: 0, y: -r }, { x: r * 0.7, y: 0 }, { x: 0, y: r }, { x: -r * 0.7, y: 0 },
+      ];
+    case 'cross':
+      return crossOutline(r, (size * (params.thickness ?? 0.3)) / 2);
+    case 'heart': {
+      const points = [];
+      for (let a = 0; a < Math.PI * 2; a += 0.1) {
+        points.push({
+          x: r * 0.8 * (16 * Math.pow(Math.sin(a), 3)) / 16,
+          y: -r * 0.8 * (13 * Math.cos(a) - 5 * Math.cos(2*a) - 2 * Math.cos(3*a) - Math.cos(4*a)) / 16,
+        });
+      }
+      return points;
+    }
+    case 'superformula':
+      return superformulaPoints(size, params);
+    case 'superellipse':
+      return superellipsePoints(size, params.exponent);
+    default:
+      return null;
+  }
+}
+
 /**
  * Get the number of points for a shape (for optimization)
  * @param {string} type - shape type
@@ -219,10 +428,13 @@ export function getShapeVertexCount(type) {
     case 'square': return 4;
     case 'triangle': return 3;
     case 'hexagon': return 6;
+    case 'polygon': return 12;
     case 'star': return 10;
     case 'diamond': return 4;
-    case 'cross': return 8;
+    case 'cross': return 12;
     case 'heart': return 64;
+    case 'superformula': return 256;
+    case 'superellipse': return 128;
     default: return 32;
   }
 }
@@ -0,0 +1,211 @@
+// ============================================================
+// Merged Outlines - Boolean union of all shapes per color
+// ============================================================
+
+import { getPaperScope, getFitScale, getCustomPathStyles, wrapSVG } from './svg.js';
+import { getShapePoints } from './library.js';
+import { resolveShape } from '../assets.js';
+import { toSVGPaint } from '../colors.js';
+
+/**
+ * Build the matrix placing a shape drawn at the origin into its cell
+ * (same order as the <use> transforms of the regular SVG export)
+ * @param {paper.PaperScope} scope - paper.js scope
+ * @param {Object} shape - shape data
+ * @returns {paper.Matrix}
+ */
+function getShapeMatrix(scope, shape) {
+  const { x, y, rotation, cellRotation, mirror, offsetX, offsetY } = shape;
+  const matrix = new scope.Matrix();
+  matrix.translate(x, y);
+  if (cellRotation) matrix.rotate(cellRotation, 0, 0);
+  if (mirror) matrix.scale(1, -1);
+  if (offsetX || offsetY) matrix.translate(offsetX || 0, offsetY || 0);
+  if (rotation) matrix.rotate(rotation, 0, 0);
+  return matrix;
+}
+
+/**
+ * Build the closed paper.js paths of a shape with the color each one is
+ * merged under. Unfilled shapes go under their stroke color.
+ * @param {paper.PaperScope} scope - paper.js scope
+ * @param {Object} shape - shape data
+ * @returns {Array} - array of {color, item}
+ */
+function getShapeItems(scope, shape) {
+  const { size, fill, stroke, contours, params } = shape;
+  const matrix = getShapeMatrix(scope, shape);
+  
+  if (contours) {
+    // Morphed or offset outline in unit size
+    if (contours.length === 0) return [];
+    const item = new scope.CompoundPath({
+      children: contours.map(line => new scope.Path({ segments: line.map(pt => [pt.x, pt.y]), closed: true, insert: false })),
+      fillRule: 'nonzero',
+      insert: false,
+    });
+    matrix.scale(size, size, 0, 0);
+    item.transform(matrix);
+    return [{ color: fill || stroke, item }];
+  }
+  
+  const { type, asset } = resolveShape(shape.type);
+  if (asset) {
+    const { bounds } = asset;
+    const scale = getFitScale(size, bounds);
+    matrix.scale(scale, scale, 0, 0);
+    matrix.translate(-bounds.x - bounds.width / 2, -bounds.y - bounds.height / 2);
+    
+    const styles = getCustomPathStyles(asset, fill, stroke);
+    const items = [];
+    asset.paths.forEach((path, i) => {
+      const color = styles[i].fill || styles[i].stroke;
+      if (!color) return;
+      const item = new scope.CompoundPath({ pathData: path.d, fillRule: path.fillRule, insert: false });
+      for (const child of item.children) child.closed = true;
+      item.transform(matrix);
+      items.push({ color, item });
+    });
+    return items;
+  }
+  if (type === 'glyph') return [];
+  
+  const shapePoints = getShapePoints(type, size, params);
+  const item = shapePoints
+    ? new scope.Path({ segments: shapePoints.map(pt => [pt.x, pt.y]), closed: true, insert: false })
+    : new scope.Path.Circle({ center: [0, 0], radius: size / 2, insert: false }); // Circle (or unknown type)
+  item.transform(matrix);
+  return [{ color: fill || stroke, item }];
+}
+
+/**
+ * Unite a list of paths, pairing them up level by level so intermediate
+ * results stay small
+ * @param {Array} items - paper.js path items
+ * @returns {paper.PathItem|null}
+ */
+function uniteAll(items) {
+  let list = items;
+  while (list.length > 1) {
+    const next = [];
+    for (let i = 0; i < list.length; i += 2) {
+      next.push(i + 1 < list.length ? list[i].unite(list[i + 1], { insert: false }) : list[i]);
+    }
+    list = next;
+  }
+  return list[0] || null;
+}
+
+/**
+ * Get the contours of a path item
+ * @param {paper.PathItem} item - path or compound path
+ * @returns {Array} - paper.js paths
+ */
+function getContours(item) {
+  return item.children ? [...item.children] : [item];
+}
+
+/**
+ * Drop pieces and holes too small to cut: contours whose area or narrow
+ * side is below the minimum feature size
+ * @param {paper.PaperScope} scope - paper.js scope
+ * @param {paper.PathItem} item - united path
+ * @param {number} minSize - minimum feature size in pixels
+ * @returns {paper.PathItem}
+ */
+function removeSmallFeatures(scope, item, minSize) {
+  const kept = getContours(item).filter(c => (
+    Math.abs(c.area) >= minSize * minSize &&
+    Math.min(c.bounds.width, c.bounds.height) >= minSize
+  ));
+  return new scope.CompoundPath({ children: kept, fillRule: 'nonzero', insert: false });
+}
+
+/**
+ * Cut bridges into a united path so the islands a stencil would lose (the
+ * insides of its holes) stay attached to the sheet. Each hole gets one strip
+ * straight across the piece around it, along that piece's shorter side.
+ * @param {paper.PaperScope} scope - paper.js scope
+ * @param {paper.PathItem} item - united path (the cut-out area)
+ * @param {number} width - bridge width in pixels
+ * @returns {paper.PathItem}
+ */
+function addBridges(scope, item, width) {
+  const contours = getContours(item);
+  if (contours.length < 2) return item;
+  
+  // Boolean results wind holes opposite to the pieces around them
+  const largest = contours.reduce((a, b) => (Math.abs(b.area) > Math.abs(a.area) ? b : a));
+  const outers = contours.filter(c => Math.sign(c.area) === Math.sign(largest.area));
+  const holes = contours.filter(c => Math.sign(c.area) !== Math.sign(largest.area));
+  
+  let result = item;
+  for (const hole of holes) {
+    const point = hole.interiorPoint;
+    const around = outers
+      .filter(o => Math.abs(o.area) > Math.abs(hole.area) && o.contains(point))
+      .sort((a, b) => Math.abs(a.area) - Math.abs(b.area))[0];
+    if (!around) continue;
+    
+    const b = around.bounds;
+    const c = hole.bounds.center;
+    const strip = b.height <= b.width
+      ? new scope.Path.Rectangle({ from: [c.x - width / 2, b.top - 1], to: [c.x + width / 2, b.bottom + 1], insert: false })
+      : new scope.Path.Rectangle({ from: [b.left - 1, c.y - width / 2], to: [b.right + 1, c.y + width / 2], insert: false });
+    const piece = around.clone({ insert: false });
+    result = result.subtract(strip.intersect(piece, { insert: false }), { insert: false });
+  }
+  return result;
+}
+
+/**
+ * Generate an SVG with every shape merged into one compound path per color,
+ * for laser/vinyl cutters and embroidery software. Stroke widths are not
+ * kept, nor is opacity unless asked for (shapes are then merged per color
+ * and opacity). Stencil mode cuts each color's shapes out of the canvas
+ * frame instead, one sheet per color.
+ * @param {Array} shapes - array of shape data (as for generateSVG)
+ * @param {Object} options - {width, height, background, stencil,
+ *   minFeature, bridgeWidth, keepOpacity, underlay, overlay}; sizes in
+ *   pixels, underlay and overlay as for generateSVG
+ * @returns {string} - SVG XML string
+ */
+export function generateMergedSVG(shapes, options) {
+  const { width, height, background, stencil, minFeature, bridgeWidth, keepOpacity } = options;
+  const scope = getPaperScope();
+  
+  // Group paths by color (and opacity), in order of first appearance
+  const groups = new Map();
+  for (const shape of shapes) {
+    const opacity = keepOpacity && shape.opacity !== undefined ? shape.opacity : 1;
+    for (const { color, item } of getShapeItems(scope, shape)) {
+      const key = `${color}|${opacity}`;
+      if (!groups.has(key)) groups.set(key, { color, opacity, items: [] });
+      groups.get(key).items.push(item);
+    }
+  }
+  
+  let svg = '';
+  let index = 0;
+  for (const { color, opacity, items } of groups.values()) {
+    let merged = uniteAll(items);
+    if (!merged) continue;
+    if (minFeature > 0) merged = removeSmallFeatures(scope, merged, minFeature);
+    
+    if (stencil) {
+      if (bridgeWidth > 0) merged = addBridges(scope, merged, bridgeWidth);
+      const frame = new scope.Path.Rectangle({ from: [0, 0], to: [width, height], insert: false });
+      merged = frame.subtract(merged, { insert: false });
+    }
+    
+    const d = merged.getPathData(null, 3);
+    if (!d) continue;
+    index++;
+    const paint = toSVGPaint(color, opacity);
+    const alpha = keepOpacity && paint.opacity < 1 ? ` fill-opacity="${paint.opacity}"` : '';
+    svg += `  <path id="${stencil ? 'stencil' : 'color'}-${index}" d="${d}" fill="${paint.paint}"${alpha}/>\n`;
+  }
+  
+  // A stencil sheet covers the whole frame, so it replaces the background
+  return wrapSVG(svg, { ...options, background: stencil ? null : background });
+}
@@ -0,0 +1,178 @@
+// ============================================================
+// Shape Morphing - Resampled, aligned outline interpolation
+// ============================================================
+
+import { getShapePoints } from './library.js';
+import { resolveShape } from '../assets.js';
+
+// Points per morph outline
+const SAMPLES = 96;
+
+// Aligned outline pairs by shape keys and parameters. Parameters only vary
+// per cell with distance-mapped or animated shape parameters, so the cache
+// is simply dropped when it grows past a limit.
+const pairCache = new Map();
+const CACHE_LIMIT = 256;
+
+/**
+ * Get the unit-size outline of a shape as a closed list of points
+ * @param {string} key - shape key (built-in type, 'custom' or 'svg:<id>')
+ * @param {Object} params - shape parameters from getShapeParams
+ * @returns {Array} - array of {x, y} centered at the origin
+ */
+function getUnitOutline(key, params) {
+  const { type, asset } = resolveShape(key);
+  
+  if (asset) {
+    // Use the largest contour; holes can't be morphed point to point
+    let best = null;
+    let bestArea = 0;
+    for (const line of asset.outline) {
+      const area = Math.abs(signedArea(line));
+      if (area > bestArea) {
+        best = line;
+        bestArea = area;
+      }
+    }
+    if (best) return best;
+  }
+  
+  const points = asset ? null : getShapePoints(type, 1, params);
+  if (points) return points;
+  
+  // Circle (or unknown type)
+  const circle = [];
+  for (let i = 0; i < SAMPLES; i++) {
+    const angle = -Math.PI / 2 + (Math.PI * 2 * i) / SAMPLES;
+    circle.push({ x: Math.cos(angle) * 0.5, y: Math.sin(angle) * 0.5 });
+  }
+  return circle;
+}
+
+/**
+ * Signed area of a closed polygon (positive for clockwise in screen space)
+ * @param {Array} points - array of {x, y}
+ * @returns {number}
+ */
+function signedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+/**
+ * Resample a closed outline to evenly spaced points by arc length, starting
+ * at the topmost point and running clockwise
+ * @param {Array} points - array of {x, y}
+ * @param {number} count - number of output points
+ * @returns {Array} - array of {x, y}
+ */
+function resample(points, count) {
+  let pts = signedArea(points) < 0 ? [...points].reverse() : points;
+  
+  // Start at the topmost point (ties broken toward the center line)
+  let start = 0;
+  for (let i = 1; i < pts.length; i++) {
+    const p = pts[i];
+    const s = pts[start];
+    if (p.y < s.y - 1e-9 || (Math.abs(p.y - s.y) <= 1e-9 && Math.abs(p.x) < Math.abs(s.x))) start = i;
+  }
+  pts = [...pts.slice(start), ...pts.slice(0, start)];
+  
+  // Cumulative length around the closed loop
+  const lengths = [0];
+  for (let i = 1; i <= pts.length; i++) {
+    const a = pts[i - 1];
+    const b = pts[i % pts.length];
+    lengths.push(lengths[i - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+  }
+  const total = lengths[pts.length];
+  if (total <= 0) return Array.from({ length: count }, () => ({ ...pts[0] }));
+  
+  const out = [];
+  let seg = 0;
+  for (let i = 0; i < count; i++) {
+    const d = (total * i) / count;
+    while (lengths[seg + 1] < d) seg++;
+    const a = pts[seg];
+    const b = pts[(seg + 1) % pts.length];
+    const len = lengths[seg + 1] - lengths[seg];
+    const t = len > 0 ? (d - lengths[seg]) / len : 0;
+    out.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+  }
+  return out;
+}
+
+/**
+ * Rotate the point order of one outline to best match another
+ * @param {Array} from - reference outline
+ * @param {Array} to - outline to align (same point count)
+ * @returns {Array} - aligned copy of to
+ */
+function align(from, to) {
+  const n = from.length;
+  let bestOffset = 0;
+  let bestCost = Infinity;
+  
+  for (let offset = 0; offset < n; offset++) {
+    let cost = 0;
+    for (let i = 0; i < n && cost < bestCost; i++) {
+      const a = from[i];
+      const b = to[(i + offset) % n];
+      cost += (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+    }
+    if (cost < bestCost) {
+      bestCost = cost;
+      bestOffset = offset;
+    }
+  }
+  
+  return [...to.slice(bestOffset), ...to.slice(0, bestOffset)];
+}
+
+/**
+ * Get the resampled, aligned unit outlines of two shapes
+ * @param {string} fromKey - shape key at amount 0
+ * @param {string} toKey - shape key at amount 1
+ * @param {Object} params - shape parameters from getShapeParams
+ * @returns {Object} - {from, to}
+ */
+function getMorphPair(fromKey, toKey, params) {
+  const key = `${fromKey}|${toKey}|${JSON.stringify(params)}`;
+  let pair = pairCache.get(key);
+  
+  if (!pair) {
+    const from = resample(getUnitOutline(fromKey, params), SAMPLES);
+    const to = align(from, resample(getUnitOutline(toKey, params), SAMPLES));
+    pair = { from, to };
+    
+    if (pairCache.size >= CACHE_LIMIT) pairCache.clear();
+    pairCache.set(key, pair);
+  }
+  
+  return pair;
+}
+
+/**
+ * Get the outline of a shape morphed between two shapes
+ * @param {string} fromKey - shape key at amount 0
+ * @param {string} toKey - shape key at amount 1
+ * @param {number} amount - morph amount (0-1)
+ * @param {number} size - shape size
+ * @param {Object} params - shape parameters from getShapeParams
+ * @returns {Array} - array of {x, y} centered at the origin
+ */
+export function getMorphPoints(fromKey, toKey, amount, size, params = {}) {
+  const { from, to } = getMorphPair(fromKey, toKey, params);
+  return from.map((a, i) => {
+    const b = to[i];
+    return {
+      x: (a.x + (b.x - a.x) * amount) * size,
+      y: (a.y + (b.y - a.y) * amount) * size,
+    };
+  });
+}
@@ -0,0 +1,200 @@
+// ============================================================
+// Outline Offsetting - Inset/outset contours of any shape
+// ============================================================
+
+import { getPaperScope } from './svg.js';
+import { getShapePoints } from './library.js';
+import { resolveShape } from '../assets.js';
+
+// Points on a unit circle outline
+const CIRCLE_SAMPLES = 96;
+
+// Largest angle covered by one segment of a rounded corner
+const ARC_STEP = Math.PI / 12;
+
+// Offset contours by shape key, parameters and distance; dropped when it
+// grows past the limit (parameters can vary per cell)
+const offsetCache = new Map();
+const CACHE_LIMIT = 256;
+
+/**
+ * Signed area of a closed polygon (positive for clockwise in screen space)
+ * @param {Array} points - array of {x, y}
+ * @returns {number}
+ */
+function signedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+/**
+ * Check if a point is inside a closed polygon (even-odd)
+ * @param {Object} pt - {x, y}
+ * @param {Array} points - array of {x, y}
+ * @returns {boolean}
+ */
+function isInside(pt, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > pt.y) !== (b.y > pt.y) && pt.x < ((b.x - a.x) * (pt.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Drop repeated points (including a closing copy of the first point)
+ * @param {Array} points - array of {x, y}
+ * @returns {Array}
+ */
+function dedupe(points) {
+  const out = [];
+  for (const pt of points) {
+    const last = out[out.length - 1];
+    if (!last || Math.hypot(pt.x - last.x, pt.y - last.y) > 1e-9) out.push(pt);
+  }
+  while (out.length > 1 && Math.hypot(out[0].x - out[out.length - 1].x, out[0].y - out[out.length - 1].y) <= 1e-9) {
+    out.pop();
+  }
+  return out;
+}
+
+/**
+ * Offset one clockwise contour, rounding the corners the offset opens up.
+ * Corners it folds over are left as crossing loops to be removed later.
+ * @param {Array} points - clockwise array of {x, y}
+ * @param {number} distance - offset (positive grows the contour)
+ * @returns {Array} - raw offset polygon
+ */
+function offsetPolygon(points, distance) {
+  const n = points.length;
+  const normals = points.map((a, i) => {
+    const b = points[(i + 1) % n];
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    return { x: (b.y - a.y) / len, y: -(b.x - a.x) / len };
+  });
+  
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    const p = points[i];
+    const n1 = normals[(i - 1 + n) % n];
+    const n2 = normals[i];
+    const cross = n1.x * n2.y - n1.y * n2.x;
+    
+    if (cross * distance > 0) {
+      // Round join around the corner
+      const a1 = Math.atan2(n1.y, n1.x);
+      let delta = Math.atan2(n2.y, n2.x) - a1;
+      if (delta > Math.PI) delta -= Math.PI * 2;
+      if (delta < -Math.PI) delta += Math.PI * 2;
+      const steps = Math.max(1, Math.ceil(Math.abs(delta) / ARC_STEP));
+      for (let s = 0; s <= steps; s++) {
+        const angle = a1 + (delta * s) / steps;
+        out.push({ x: p.x + Math.cos(angle) * distance, y: p.y + Math.sin(angle) * distance });
+      }
+    } else {
+      out.push({ x: p.x + n1.x * distance, y: p.y + n1.y * distance });
+      out.push({ x: p.x + n2.x * distance, y: p.y + n2.y * distance });
+    }
+  }
+  return out;
+}
+
+/**
+ * Split a raw offset polygon at its self-crossings and keep the loops that
+ * still run clockwise like the source contour; reversed loops are
+ * folded-over corners or parts that collapsed
+ * @param {Array} points - raw offset polygon
+ * @returns {Array} - array of clockwise polygons
+ */
+function removeLoops(points) {
+  const scope = getPaperScope();
+  const path = new scope.Path({ segments: points.map(pt => [pt.x, pt.y]), closed: true, insert: false });
+  const resolved = path.resolveCrossings();
+  const loops = resolved.children ? resolved.children : [resolved];
+  
+  return loops
+    .filter(loop => loop.area > 1e-9)
+    .map(loop => loop.segments.map(s => ({ x: s.point.x, y: s.point.y })));
+}
+
+/**
+ * Offset a filled region given as closed contours. Contours nested inside
+ * an odd number of others are holes, which move the opposite way.
+ * @param {Array} contours - array of polygons (arrays of {x, y})
+ * @param {number} distance - offset (positive grows the region, negative
+ *   insets it)
+ * @returns {Array} - array of polygons; outer contours clockwise and holes
+ *   counter-clockwise, to be filled with the nonzero rule
+ */
+export function offsetContours(contours, distance) {
+  const lines = contours.map(dedupe).filter(line => line.length >= 3);
+  if (distance === 0) return lines;
+  
+  const result = [];
+  for (const line of lines) {
+    const depth = lines.filter(other => other !== line && isInside(line[0], other)).length;
+    const hole = depth % 2 === 1;
+    
+    // Offset every contour as a clockwise polygon; a hole shrinks as the
+    // region grows, and is turned counter-clockwise again afterwards
+    const clockwise = signedArea(line) > 0 ? line : [...line].reverse();
+    const raw = offsetPolygon(clockwise, hole ? -distance : distance);
+    for (const loop of removeLoops(raw)) {
+      result.push(hole ? loop.reverse() : loop);
+    }
+  }
+  return result;
+}
+
+/**
+ * Get the unit-size contours of a shape
+ * @param {string} key - shape key (built-in type, 'custom', 'svg:<id>' or
+ *   'glyph:<char>')
+ * @param {Object} params - shape parameters from getShapeParams
+ * @returns {Array} - array of polygons centered at the origin
+ */
+export function getUnitContours(key, params) {
+  const { type, asset } = resolveShape(key);
+  if (asset) return asset.outline;
+  if (type === 'glyph') return [];
+  
+  const points = getShapePoints(type, 1, params);
+  if (points) return [points];
+  
+  // Circle (or unknown type)
+  const circle = [];
+  for (let i = 0; i < CIRCLE_SAMPLES; i++) {
+    const angle = (Math.PI * 2 * i) / CIRCLE_SAMPLES;
+    circle.push({ x: Math.cos(angle) * 0.5, y: Math.sin(angle) * 0.5 });
+  }
+  return [circle];
+}
+
+/**
+ * Get the unit-size contours of a shape offset by a distance
+ * @param {string} key - shape key
+ * @param {Object} params - shape parameters from getShapeParams
+ * @param {number} distance - offset in units of the shape size
+ * @returns {Array} - array of polygons centered at the origin
+ */
+export function getOffsetContours(key, params, distance) {
+  const cacheKey = `${key}|${JSON.stringify(params)}|${distance}`;
+  let contours = offsetCache.get(cacheKey);
+  
+  if (!contours) {
+    contours = offsetContours(getUnitContours(key, params), distance);
+    if (offsetCache.size >= CACHE_LIMIT) offsetCache.clear();
+    offsetCache.set(cacheKey, contours);
+  }
+  
+  return contours;
+}
@@ -2,143 +2,184 @@
 // SVG Import/Export Handler
 // ============================================================
 
-import { customShape } from '../state.js';
+import paper from 'paper';
+import { shape as shapeSettings } from '../state.js';
+import { resolveShape } from '../assets.js';
+import { getShapePoints } from './library.js';
+import { getPaletteColors, toP5Color, toSVGPaint } from '../colors.js';
+
+// Paper.js scope used for importing and for merged outline export;
+// nothing is ever drawn with it
+let paperScope = null;
+
+// Path2D objects built from parsed path data, created on first draw
+const path2DCache = new WeakMap();
+
+/**
+ * Get the shared paper.js scope
+ * @returns {paper.PaperScope}
+ */
+export function getPaperScope() {
+  if (!paperScope) {
+    paperScope = new paper.PaperScope();
+    paperScope.setup(new paperScope.Size(1, 1));
+  }
+  return paperScope;
+}
 
 /**
- * Parse an SVG file and extract paths
+ * Parse an SVG file and extract paths. Paper.js resolves every path command
+ * (arcs, smooth and relative curves), expands basic shapes to paths and
+ * flattens group/element transforms, so each path comes out in the SVG's
+ * user space.
  * @param {string} svgString - SVG XML string
- * @returns {Object} - parsed paths and bounds
+ * @returns {Object} - parsed paths, bounds and normalized outline
  */
 export function parseSVG(svgString) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(svgString, 'image/svg+xml');
-  const svg = doc.querySelector('svg');
-  
-  if (!svg) {
+  const scope = getPaperScope();
+  let root;
+  try {
+    root = scope.project.importSVG(svgString, { expandShapes: true, insert: false, applyMatrix: true });
+  } catch (err) {
     throw new Error('Invalid SVG file');
   }
-  
-  // Get viewBox or calculate bounds
-  let viewBox = svg.viewBox.baseVal;
-  if (!viewBox || viewBox.width === 0) {
-    // Try to get from width/height attributes
-    const width = parseFloat(svg.getAttribute('width')) || 100;
-    const height = parseFloat(svg.getAttribute('height')) || 100;
-    viewBox = { x: 0, y: 0, width, height };
+  if (!root) {
+    throw new Error('Invalid SVG file');
   }
   
-  // Extract all paths
+  // Extract all paths in the root's local space (the viewBox user space),
+  // skipping the root's own viewport transform
   const paths = [];
-  const pathElements = svg.querySelectorAll('path, circle, rect, ellipse, polygon, polyline');
+  const items = [];
+  const children = root.children || [root];
+  for (const child of children) {
+    collectPaths(child, new scope.Matrix(), paths, items);
+  }
   
-  pathElements.forEach(el => {
-    const pathData = elementToPath(el);
-    if (pathData) {
-      paths.push(pathData);
-    }
-  });
+  // Frame on the viewBox (imported as a clip rectangle), else the geometry
+  const clip = children.find(child => child.clipMask);
+  let rect = clip ? clip.bounds : null;
+  if (!rect && items.length > 0) {
+    rect = items.reduce((acc, item) => acc.unite(item.bounds), items[0].bounds);
+  }
+  if (!rect || rect.width <= 0 || rect.height <= 0) {
+    rect = { x: 0, y: 0, width: 100, height: 100 };
+  }
   
-  // If no paths found, try to get outline from shapes
+  const bounds = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+  
+  // If no paths found, fall back to the frame itself
   if (paths.length === 0) {
-    // Create a simple rectangle as fallback
-    paths.push({
-      type: 'rect',
-      x: viewBox.x,
-      y: viewBox.y,
-      width: viewBox.width,
-      height: viewBox.height,
-    });
+    const { x, y, width, height } = bounds;
+    paths.push({ type: 'path', d: `M${x} ${y}H${x + width}V${y + height}H${x}Z`, fillRule: 'nonzero' });
   }
   
   return {
     paths,
-    bounds: {
-      x: viewBox.x,
-      y: viewBox.y,
-      width: viewBox.width,
-      height: viewBox.height,
-    },
+    bounds,
+    outline: buildOutline(items, bounds),
   };
 }
 
 /**
- * Convert SVG element to path data
- * @param {Element} el - SVG element
- * @returns {Object|null} - path data
+ * Walk an imported item tree, baking every ancestor transform into copies
+ * of the visible paths
+ * @param {paper.Item} item - imported item
+ * @param {paper.Matrix} matrix - accumulated ancestor transform
+ * @param {Array} paths - output path data
+ * @param {Array} items - output flattened paper items (for outlines)
  */
-function elementToPath(el) {
-  const tagName = el.tagName.toLowerCase();
+function collectPaths(item, matrix, paths, items) {
+  if (!item.visible || item.clipMask) return;
   
-  switch (tagName) {
-    case 'path':
-      return {
-        type: 'path',
-        d: el.getAttribute('d'),
-      };
-      
-    case 'circle':
-      const cx = parseFloat(el.getAttribute('cx')) || 0;
-      const cy = parseFloat(el.getAttribute('cy')) || 0;
-      const r = parseFloat(el.getAttribute('r')) || 0;
-      return {
-        type: 'circle',
-        cx, cy, r,
-      };
-      
-    case 'rect':
-      const x = parseFloat(el.getAttribute('x')) || 0;
-      const y = parseFloat(el.getAttribute('y')) || 0;
-      const width = parseFloat(el.getAttribute('width')) || 0;
-      const height = parseFloat(el.getAttribute('height')) || 0;
-      const rx = parseFloat(el.getAttribute('rx')) || 0;
-      return {
-        type: 'rect',
-        x, y, width, height, rx,
-      };
+  switch (item.className) {
+    case 'Path':
+    case 'CompoundPath':
+    case 'Shape': {
+      const copy = item.className === 'Shape' ? item.toPath(false) : item.clone({ insert: false });
+      copy.applyMatrix = true;
+      copy.transform(matrix);
+      if (copy.isEmpty()) return;
       
-    case 'ellipse': {
-      const ecx = parseFloat(el.getAttribute('cx')) || 0;
-      const ecy = parseFloat(el.getAttribute('cy')) || 0;
-      const erx = parseFloat(el.getAttribute('rx')) || 0;
-      const ery = parseFloat(el.getAttribute('ry')) || 0;
-      return {
-        type: 'ellipse',
-        cx: ecx, cy: ecy, rx: erx, ry: ery,
-      };
+      paths.push({
+        type: 'path',
+        d: copy.pathData,
+        fillRule: item.fillRule === 'evenodd' ? 'evenodd' : 'nonzero',
+        fill: item.fillColor ? item.fillColor.toCSS(true) : null,
+        stroke: item.strokeColor ? item.strokeColor.toCSS(true) : null,
+        strokeWidth: item.strokeColor ? item.strokeWidth : 0,
+      });
+      items.push(copy);
+      break;
     }
-      
-    case 'polygon':
-    case 'polyline':
-      const points = el.getAttribute('points') || '';
-      return {
-        type: tagName,
-        points: parsePoints(points),
-      };
+    
+    case 'SymbolItem':
+      collectPaths(item.definition.item, matrix.appended(item.matrix), paths, items);
+      break;
       
     default:
-      return null;
+      if (item.children) {
+        const m = matrix.appended(item.matrix);
+        for (const child of item.children) collectPaths(child, m, paths, items);
+      }
   }
 }
 
 /**
- * Parse points attribute
- * @param {string} pointsStr - points string
- * @returns {Array} - array of {x, y} points
+ * Sample flattened paths into polylines in unit space, centered on the
+ * origin and scaled like drawSVGPath at size 1
+ * @param {Array} items - flattened paper paths and compound paths
+ * @param {Object} bounds - shape bounds
+ * @param {number} samples - samples across the whole outline
+ * @returns {Array} - array of polylines (arrays of {x, y})
  */
-function parsePoints(pointsStr) {
-  const coords = pointsStr.trim().split(/[\s,]+/);
-  const points = [];
-  for (let i = 0; i < coords.length; i += 2) {
-    points.push({
-      x: parseFloat(coords[i]) || 0,
-      y: parseFloat(coords[i + 1]) || 0,
-    });
+function buildOutline(items, bounds, samples = 400) {
+  const contours = [];
+  for (const item of items) {
+    if (item.className === 'CompoundPath') contours.push(...item.children);
+    else contours.push(item);
   }
-  return points;
+  
+  const total = contours.reduce((sum, c) => sum + c.length, 0);
+  if (!total) return [];
+  
+  const scale = 1 / Math.max(bounds.width, bounds.height);
+  const cx = bounds.x + bounds.width / 2;
+  const cy = bounds.y + bounds.height / 2;
+  
+  const lines = [];
+  for (const contour of contours) {
+    const length = contour.length;
+    if (!length) continue;
+    
+    const count = Math.max(8, Math.ceil((samples * length) / total));
+    const line = [];
+    for (let i = 0; i <= count; i++) {
+      const pt = contour.getPointAt(Math.min((length * i) / count, length));
+      if (pt) line.push({ x: (pt.x - cx) * scale, y: (pt.y - cy) * scale });
+    }
+    if (contour.closed && line.length) line.push({ ...line[0] });
+    if (line.length >= 2) lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Get the cached Path2D for parsed path data
+ * @param {Object} pathData - path data from parseSVG
+ * @returns {Path2D}
+ */
+function getPath2D(pathData) {
+  let path = path2DCache.get(pathData);
+  if (!path) {
+    path = new Path2D(pathData.d);
+    path2DCache.set(pathData, path);
+  }
+  return path;
 }
 
 /**
- * Draw a parsed SVG path in p5
+ * Draw a parsed SVG path in p5. Uses the current fill and stroke styles.
  * @param {p5} p - p5 instance
  * @param {Object} pathData - path data from parseSVG
  * @param {number} x - center x position
@@ -146,140 +187,98 @@ function parsePoints(pointsStr) {
  * @param {number} size - target size
  * @param {Object} bounds - original bounds
  * @param {number} rotation - rotation in degrees
+ * @param {boolean} stroked - stroke the path
+ * @param {boolean} filled - fill the path
  */
-export function drawSVGPath(p, pathData, x, y, size, bounds, rotation = 0) {
+export function drawSVGPath(p, pathData, x, y, size, bounds, rotation = 0, stroked = false, filled = true) {
   p.push();
   p.translate(x, y);
   p.rotate(p.radians(rotation));
   
   // Calculate scale to fit within size while maintaining aspect ratio
-  const scaleX = size / bounds.width;
-  const scaleY = size / bounds.height;
-  const scale = Math.min(scaleX, scaleY);
+  const scale = getFitScale(size, bounds);
   
   p.scale(scale);
   p.translate(-bounds.x - bounds.width / 2, -bounds.y - bounds.height / 2);
   
-  switch (pathData.type) {
-    case 'path':
-      drawPathString(p, pathData.d);
-      break;
-    case 'circle':
-      p.ellipse(pathData.cx, pathData.cy, pathData.r * 2, pathData.r * 2);
-      break;
-    case 'rect':
-      if (pathData.rx > 0) {
-        p.rect(pathData.x, pathData.y, pathData.width, pathData.height, pathData.rx);
-      } else {
-        p.rect(pathData.x, pathData.y, pathData.width, pathData.height);
-      }
-      break;
-    case 'ellipse':
-      p.ellipse(pathData.cx, pathData.cy, pathData.rx * 2, pathData.ry * 2);
-      break;
-    case 'polygon':
-    case 'polyline':
-      p.beginShape();
-      if (pathData.type === 'polygon') {
-        // Polygon closes automatically
-      }
-      pathData.points.forEach(pt => p.vertex(pt.x, pt.y));
-      if (pathData.type === 'polygon') {
-        p.endShape(p.CLOSE);
-      } else {
-        p.endShape();
-      }
-      break;
+  // Draw on the 2D context directly so compound paths keep their fill rule
+  const ctx = p.drawingContext;
+  const path = getPath2D(pathData);
+  if (filled) ctx.fill(path, pathData.fillRule);
+  if (stroked && scale > 0) {
+    // Keep the stroke weight in screen pixels
+    const lineWidth = ctx.lineWidth;
+    ctx.lineWidth = lineWidth / scale;
+    ctx.stroke(path);
+    ctx.lineWidth = lineWidth;
   }
   
   p.pop();
 }
 
 /**
- * Parse and draw SVG path string
- * This is a simplified parser - for complex paths, consider using paper.js
- * @param {p5} p - p5 instance
- * @param {string} d - path data string
+ * Resolve the colors of each path of an SVG asset for one cell
+ * @param {Object} asset - SVG asset
+ * @param {string} fill - cell fill color
+ * @param {string|null} stroke - cell stroke color, null for no stroke
+ * @returns {Array} - per path {fill, stroke, strokeWidth}; null colors are
+ *   not painted, a null strokeWidth means the cell stroke weight
  */
-function drawPathString(p, d) {
-  // For now, use a simplified approach
-  // In production, you might want to use a full SVG path parser
-  // or integrate with paper.js for full path support
-  
-  const commands = d.match(/[MmLlHhVvCcSsQqTtAaZz][^MmLlHhVvCcSsQqTtAaZz]*/g) || [];
+export function getCustomPathStyles(asset, fill, stroke) {
+  const colors = getPaletteColors();
   
-  p.beginShape();
-  let x = 0, y = 0;
-  let startX = 0, startY = 0;
+  return asset.paths.map((path, i) => {
+    switch (shapeSettings.svgColors) {
+      case 'original':
+        // Original stroke widths are in the SVG's own units
+        return { fill: path.fill || null, stroke: path.stroke || null, strokeWidth: path.strokeWidth || 0 };
+      case 'palette':
+        return { fill: colors[i % colors.length], stroke, strokeWidth: null };
+      default:
+        return { fill, stroke, strokeWidth: null };
+    }
+  });
+}
+
+/**
+ * Draw every path of an SVG asset with its resolved colors
+ * @param {p5} p - p5 instance
+ * @param {Object} asset - SVG asset
+ * @param {number} x - center x position
+ * @param {number} y - center y position
+ * @param {number} size - target size
+ * @param {number} rotation - rotation in degrees
+ * @param {Object} style - cell {fill, stroke, fillOpacity, strokeOpacity,
+ *   strokeWeight}; opacities 0-1, stroke weight in pixels
+ */
+export function drawCustomShape(p, asset, x, y, size, rotation, style) {
+  const { paths, bounds } = asset;
+  const scale = getFitScale(size, bounds);
+  const styles = getCustomPathStyles(asset, style.fill, style.stroke);
   
-  for (const cmd of commands) {
-    const type = cmd[0];
-    const args = cmd.slice(1).trim().split(/[\s,]+/).filter(s => s).map(parseFloat);
+  paths.forEach((path, i) => {
+    const { fill, stroke, strokeWidth } = styles[i];
+    
+    if (fill) p.fill(toP5Color(p, fill, style.fillOpacity));
     
-    switch (type) {
-      case 'M':
-        x = args[0];
-        y = args[1];
-        startX = x;
-        startY = y;
-        p.vertex(x, y);
-        break;
-      case 'm':
-        x += args[0];
-        y += args[1];
-        startX = x;
-        startY = y;
-        p.vertex(x, y);
-        break;
-      case 'L':
-        x = args[0];
-        y = args[1];
-        p.vertex(x, y);
-        break;
-      case 'l':
-        x += args[0];
-        y += args[1];
-        p.vertex(x, y);
-        break;
-      case 'H':
-        x = args[0];
-        p.vertex(x, y);
-        break;
-      case 'h':
-        x += args[0];
-        p.vertex(x, y);
-        break;
-      case 'V':
-        y = args[0];
-        p.vertex(x, y);
-        break;
-      case 'v':
-        y += args[0];
-        p.vertex(x, y);
-        break;
-      case 'Z':
-      case 'z':
-        p.vertex(startX, startY);
-        break;
-      // Curves (simplified - using control points as vertices)
-      case 'C':
-        if (args.length >= 6) {
-          p.bezierVertex(args[0], args[1], args[2], args[3], args[4], args[5]);
-          x = args[4];
-          y = args[5];
-        }
-        break;
-      case 'Q':
-        if (args.length >= 4) {
-          p.quadraticVertex(args[0], args[1], args[2], args[3]);
-          x = args[2];
-          y = args[3];
-        }
-        break;
+    const stroked = Boolean(stroke) && (strokeWidth === null || strokeWidth > 0);
+    if (stroked) {
+      p.stroke(toP5Color(p, stroke, style.strokeOpacity));
+      p.strokeWeight(strokeWidth === null ? style.strokeWeight : strokeWidth * scale);
     }
-  }
-  
-  p.endShape();
+    
+    drawSVGPath(p, path, x, y, size, bounds, rotation, stroked, Boolean(fill));
+  });
+}
+
+/**
+ * Get the scale fitting a custom shape's bounds into a size
+ * @param {number} size - target size
+ * @param {Object} bounds - shape bounds
+ * @returns {number} - scale factor
+ */
+export function getFitScale(size, bounds) {
+  return Math.min(size / Math.max(bounds.width, 1e-6), size / Math.max(bounds.height, 1e-6));
 }
 
 /**
@@ -304,80 +303,177 @@ export function loadSVGFile(file) {
 }
 
 /**
- * Generate SVG string from current composition
+ * Generate SVG string from current composition. Each distinct shape is
+ * written once as a unit-size <symbol> and placed per cell with <use>.
  * @param {Array} shapes - array of shape data
- * @param {Object} options - export options
+ * @param {Object} options - export options {width, height, background,
+ *   underlay, overlay}; underlay and overlay are extra SVG markup written
+ *   under and over the shapes
  * @returns {string} - SVG XML string
  */
 export function generateSVG(shapes, options) {
-  const { width, height, background } = options;
+  // Shapes (collecting the symbols they use)
+  const symbols = new Map();
+  let body = '';
+  for (const shape of shapes) {
+    body += shapeToSVG(shape, symbols);
+  }
   
-  let svg = `<?xml version="1.0" encoding="UTF-8"?>\n`;
-  svg += `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">\n`;
+  let defs = '';
+  for (const symbol of symbols.values()) {
+    defs += `    <symbol id="${symbol.id}" overflow="visible">${symbol.content}</symbol>\n`;
+  }
+  return wrapSVG(body, { ...options, defs });
+}
+
+/**
+ * Wrap SVG markup in a complete document: the background, then the
+ * underlay, the body and the overlay
+ * @param {string} body - SVG markup
+ * @param {Object} options - {width, height, background, underlay, overlay,
+ *   defs}; defs is markup for a <defs> section, referenced with <use>
+ * @returns {string} - SVG XML string
+ */
+export function wrapSVG(body, options) {
+  const { width, height, background, underlay, overlay, defs } = options;
+  const xlink = defs ? ' xmlns:xlink="http://www.w3.org/1999/xlink"' : '';
   
-  // Background
+  let svg = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+  svg += `<svg xmlns="http://www.w3.org/2000/svg"${xlink} viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">\n`;
   if (background) {
     svg += `  <rect width="${width}" height="${height}" fill="${background}"/>\n`;
   }
+  if (defs) svg += `  <defs>\n${defs}  </defs>\n`;
+  if (underlay) svg += underlay;
+  svg += body;
+  if (overlay) svg += overlay;
+  svg += `</svg>`;
+  return svg;
+}
+
+/**
+ * Round a number for compact SVG output
+ * @param {number} v - value
+ * @param {number} precision - rounding factor (1000 keeps 3 decimals)
+ * @returns {number} - rounded value
+ */
+export function num(v, precision = 1000) {
+  return Math.round(v * precision) / precision;
+}
+
+/**
+ * Build the transform placing a shape drawn at the origin into its cell:
+ * cell position, symmetry rotation/mirror, the offset within the cell,
+ * then the shape's own rotation
+ * @param {Object} shape - shape data
+ * @returns {string} - SVG transform attribute value
+ */
+function getShapeTransform(shape) {
+  const { x, y, rotation, cellRotation, mirror, offsetX, offsetY } = shape;
+  const parts = [`translate(${num(x)} ${num(y)})`];
+  if (cellRotation) parts.push(`rotate(${num(cellRotation)})`);
+  if (mirror) parts.push('scale(1 -1)');
+  if (offsetX || offsetY) parts.push(`translate(${num(offsetX || 0)} ${num(offsetY || 0)})`);
+  if (rotation) parts.push(`rotate(${num(rotation)})`);
+  return parts.join(' ');
+}
+
+/**
+ * Get (creating on first use) the unit-size symbol for a shape
+ * @param {Object} shape - shape data
+ * @param {Map} symbols - symbols created so far, by content key
+ * @returns {Object|null} - {id, content, unit}; unit is the symbol's
+ *   internal scale, which stroke widths must be divided by. Null for
+ *   shapes that draw nothing (glyphs without a font, blank characters,
+ *   fully inset outlines).
+ */
+function getSymbol(shape, symbols) {
+  const { type, asset } = resolveShape(shape.type);
+  if (shape.contours) {
+    if (shape.contours.length === 0) return null;
+  } else if (!asset && type === 'glyph') {
+    return null;
+  }
   
-  // Shapes
-  for (const shape of shapes) {
-    svg += shapeToSVG(shape);
+  let key;
+  let content;
+  let unit = 1;
+  if (shape.contours) {
+    // Morphed or offset outline (holes wind the other way, nonzero fill)
+    const d = shape.contours
+      .map(line => `M${line.map(pt => `${num(pt.x, 1e5)},${num(pt.y, 1e5)}`).join('L')}Z`)
+      .join('');
+    content = `<path d="${d}"/>`;
+    key = content;
+  } else if (asset) {
+    key = `svg:${asset.id}`;
+    if (!symbols.has(key)) {
+      // Colors left undefined are inherited from each <use>
+      const { bounds } = asset;
+      const styles = getCustomPathStyles(asset, undefined, undefined);
+      const paths = asset.paths.map((path, i) => pathDataToSVG(path, styles[i])).join('');
+      unit = getFitScale(1, bounds);
+      content = `<g transform="scale(${num(unit, 1e6)}) translate(${num(-bounds.x - bounds.width / 2)} ${num(-bounds.y - bounds.height / 2)})">${paths}</g>`;
+    }
+  } else {
+    const points = getShapePoints(type, 1, shape.params);
+    content = points
+      ? `<polygon points="${points.map(pt => `${num(pt.x, 1e5)},${num(pt.y, 1e5)}`).join(' ')}"/>`
+      : '<circle r="0.5"/>'; // Circle (or unknown type)
+    key = content;
   }
   
-  svg += `</svg>`;
-  return svg;
+  if (!symbols.has(key)) {
+    symbols.set(key, { id: `shape-${symbols.size + 1}`, content, unit });
+  }
+  return symbols.get(key);
 }
 
 /**
- * Convert a shape to SVG element string
+ * Convert a shape to an SVG <use> of its symbol
  * @param {Object} shape - shape data
+ * @param {Map} symbols - symbols created so far, by content key
  * @returns {string} - SVG element
  */
-function shapeToSVG(shape) {
-  const { type, x, y, size, rotation, fill, stroke, strokeWidth, opacity } = shape;
+function shapeToSVG(shape, symbols) {
+  const { size, fill, stroke, strokeWidth, opacity } = shape;
   
-  const fillStr = fill || 'none';
-  const strokeStr = stroke || 'none';
-  const strokeWidthStr = strokeWidth || 0;
   const opacityStr = opacity !== undefined ? opacity : 1;
   
-  const attrs = `fill="${fillStr}" stroke="${strokeStr}" stroke-width="${strokeWidthStr}" opacity="${opacityStr}"`;
+  const symbol = getSymbol(shape, symbols);
+  if (!symbol) return '';
+  // Stroke widths are given in the symbol's own units
+  const strokeWidthStr = num((strokeWidth || 0) / (size * symbol.unit), 1e5);
   
-  switch (type) {
-    case 'circle':
-      return `  <circle cx="${x}" cy="${y}" r="${size / 2}" ${attrs}/>\n`;
-    case 'square': {
-      const half = size / 2;
-      if (rotation) {
-        return `  <rect x="${x - half}" y="${y - half}" width="${size}" height="${size}" transform="rotate(${rotation} ${x} ${y})" ${attrs}/>\n`;
-      }
-      return `  <rect x="${x - half}" y="${y - half}" width="${size}" height="${size}" ${attrs}/>\n`;
-    }
-    case 'triangle': {
-      const r = size / 2;
-      const points = [
-        [x, y - r],
-        [x - r * 0.866, y + r * 0.5],
-        [x + r * 0.866, y + r * 0.5],
-      ];
-      if (rotation) {
-        // Apply rotation to points
-        const rad = (rotation - 90) * Math.PI / 180;
-        const rotated = points.map(([px, py]) => {
-          const dx = px - x;
-          const dy = py - y;
-          return [
-            x + dx * Math.cos(rad) - dy * Math.sin(rad),
-            y + dx * Math.sin(rad) + dy * Math.cos(rad),
-          ];
-        });
-        return `  <polygon points="${rotated.map(p => p.join(',')).join(' ')}" ${attrs}/>\n`;
-      }
-      return `  <polygon points="${points.map(p => p.join(',')).join(' ')}" ${attrs}/>\n`;
-    }
-    default:
-      // Default to circle
-      return `  <circle cx="${x}" cy="${y}" r="${size / 2}" ${attrs}/>\n`;
-  }
+  const attrs = `${paintToSVG('fill', fill)} ${paintToSVG('stroke', stroke)} stroke-width="${strokeWidthStr}" opacity="${opacityStr}"`;
+  const transform = `${getShapeTransform(shape)} scale(${num(size)})`;
+  
+  return `  <use xlink:href="#${symbol.id}" transform="${transform}" ${attrs}/>\n`;
+}
+
+/**
+ * Get the SVG attributes painting a fill or stroke, with the color's alpha
+ * as a separate opacity
+ * @param {string} name - fill or stroke
+ * @param {string|null} color - hex color, null for none
+ * @returns {string} - attributes
+ */
+function paintToSVG(name, color) {
+  if (!color) return `${name}="none"`;
+  const { paint, opacity } = toSVGPaint(color);
+  return opacity < 1 ? `${name}="${paint}" ${name}-opacity="${opacity}"` : `${name}="${paint}"`;
+}
+
+/**
+ * Convert parsed SVG path data back to an SVG element string
+ * @param {Object} pathData - path data from parseSVG
+ * @param {Object} style - path colors from getCustomPathStyles; undefined
+ *   colors are left out so they are inherited
+ * @returns {string} - SVG element
+ */
+function pathDataToSVG(pathData, style) {
+  const paint = (name, value) => (value === undefined ? '' : ` ${paintToSVG(name, value)}`);
+  const rule = pathData.fillRule === 'evenodd' ? ' fill-rule="evenodd"' : '';
+  const width = style.strokeWidth === null ? '' : ` stroke-width="${num(style.strokeWidth)}"`;
+  return `<path d="${pathData.d}"${paint('fill', style.fill)}${paint('stroke', style.stroke)}${width}${rule}/>`;
 }
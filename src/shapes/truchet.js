@@ -0,0 +1,318 @@
+// ============================================================
+// Truchet Tiles - Lattice-filling tiles in place of shapes
+// ============================================================
+
+import { truchet } from '../state.js';
+import { getCellOutline, getTruchetChoice } from '../grid.js';
+import { generateMergedSVG } from './merge.js';
+import { num, wrapSVG } from './svg.js';
+import { toSVGPaint } from '../colors.js';
+
+// Points per arc when arcs become part of a filled outline
+const ARC_SAMPLES = 12;
+
+/**
+ * Sample an arc segment into points, from its start to its end point
+ * @param {Object} arc - {from, to, center}
+ * @returns {Array} - array of {x, y}
+ */
+function sampleArc(arc) {
+  const { from, to, center } = arc;
+  const r = Math.hypot(from.x - center.x, from.y - center.y);
+  const a0 = Math.atan2(from.y - center.y, from.x - center.x);
+  let delta = Math.atan2(to.y - center.y, to.x - center.x) - a0;
+  if (delta > Math.PI) delta -= Math.PI * 2;
+  if (delta < -Math.PI) delta += Math.PI * 2;
+  
+  const points = [];
+  for (let i = 0; i <= ARC_SAMPLES; i++) {
+    const angle = a0 + (delta * i) / ARC_SAMPLES;
+    points.push({ x: center.x + Math.cos(angle) * r, y: center.y + Math.sin(angle) * r });
+  }
+  return points;
+}
+
+/**
+ * Get the number of distinct orientations of a tile type
+ * @param {string} type - arcs, diagonal, smith, triangles
+ * @param {number} m - corners of the cell outline
+ * @returns {number}
+ */
+function getOrientationCount(type, m) {
+  switch (type) {
+    case 'diagonal': return m / 2;
+    case 'triangles': return m;
+    default: return 2;
+  }
+}
+
+/**
+ * Build the geometry of a tile on a cell outline. Arcs are centered on
+ * corners and join edge midpoints, diagonals join opposite corners, so
+ * neighboring tiles meet wherever they share an edge.
+ * @param {string} type - arcs, diagonal, smith, triangles
+ * @param {number} o - orientation index
+ * @param {Array} outline - cell outline vertices around the origin
+ * @returns {Object} - {strokes, fills}: strokes are {from, to, center}
+ *   segments (center null for straight lines), fills closed polygons
+ */
+function getTileGeometry(type, o, outline) {
+  const m = outline.length;
+  const at = i => outline[((i % m) + m) % m];
+  const mid = i => {
+    const a = at(i);
+    const b = at(i + 1);
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  };
+  // Arc around corner i between the midpoints of its two edges
+  const cornerArc = i => ({ from: mid(i - 1), to: mid(i), center: at(i) });
+  
+  switch (type) {
+    case 'diagonal':
+      return { strokes: [{ from: at(o), to: at(o + m / 2), center: null }], fills: [] };
+      
+    case 'smith': {
+      // The band between the arcs: the cell minus the corner sectors
+      const contour = [];
+      for (let i = 0; i < m; i++) {
+        if ((i - o) % 2 === 0) contour.push(...sampleArc(cornerArc(i)));
+        else contour.push(at(i));
+      }
+      return { strokes: [], fills: [contour] };
+    }
+    
+    case 'triangles': {
+      // Half of the cell, split between two opposite corners
+      const contour = [];
+      for (let k = 0; k <= m / 2; k++) contour.push(at(o + k));
+      return { strokes: [], fills: [contour] };
+    }
+    
+    default: {
+      // Arcs around every other corner
+      const strokes = [];
+      for (let i = 0; i < m; i++) {
+        if ((i - o) % 2 === 0) strokes.push(cornerArc(i));
+      }
+      return { strokes, fills: [] };
+    }
+  }
+}
+
+/**
+ * Get the turning direction of an arc segment
+ * @param {Object} segment - {from, to, center}
+ * @returns {number} - positive for clockwise on screen
+ */
+function getTurn({ from, to, center }) {
+  return (from.x - center.x) * (to.y - center.y) - (from.y - center.y) * (to.x - center.x);
+}
+
+/**
+ * Get the Truchet tile of a cell, around the cell center
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {Object} - {strokes, fills, rotation, mirror}; rotation and
+ *   mirror are the symmetry frame the tile is drawn in
+ */
+export function getTruchetTile(cell, time = 0) {
+  const outline = getCellOutline(0, 0);
+  const count = getOrientationCount(truchet.tile, outline.length);
+  const o = Math.floor(getTruchetChoice(cell, time) * count) % count;
+  const symmetric = truchet.orient === 'symmetry';
+  
+  return {
+    ...getTileGeometry(truchet.tile, o, outline),
+    rotation: symmetric ? cell.rotation : 0,
+    mirror: symmetric && cell.mirror,
+  };
+}
+
+/**
+ * Draw a Truchet tile
+ * @param {p5} p - p5 instance
+ * @param {number} x - cell center x
+ * @param {number} y - cell center y
+ * @param {number} scale - scale applied to the tile geometry
+ * @param {Object} tile - tile from getTruchetTile
+ * @param {p5.Color} color - tile color
+ * @param {number} lineWidth - stroke width of arcs and lines in pixels
+ */
+export function drawTruchetTile(p, x, y, scale, tile, color, lineWidth) {
+  p.push();
+  p.translate(x, y);
+  p.rotate(p.radians(tile.rotation));
+  if (tile.mirror) p.scale(1, -1);
+  
+  if (tile.fills.length > 0) {
+    p.fill(color);
+    p.noStroke();
+    p.beginShape();
+    for (const contour of tile.fills) {
+      p.beginContour();
+      for (const pt of contour) p.vertex(pt.x * scale, pt.y * scale);
+      p.endContour(p.CLOSE);
+    }
+    p.endShape();
+  }
+  
+  if (tile.strokes.length > 0) {
+    p.noFill();
+    p.stroke(color);
+    p.strokeWeight(lineWidth);
+    // Butt caps keep arcs seamless at edges; diagonals meet at corners
+    p.strokeCap(truchet.tile === 'diagonal' ? p.ROUND : p.SQUARE);
+    
+    const ctx = p.drawingContext;
+    ctx.beginPath();
+    for (const segment of tile.strokes) {
+      const { from, to, center } = segment;
+      ctx.moveTo(from.x * scale, from.y * scale);
+      if (center) {
+        const r = Math.hypot(from.x - center.x, from.y - center.y) * scale;
+        const a0 = Math.atan2(from.y - center.y, from.x - center.x);
+        const a1 = Math.atan2(to.y - center.y, to.x - center.x);
+        ctx.arc(center.x * scale, center.y * scale, r, a0, a1, getTurn(segment) < 0);
+      } else {
+        ctx.lineTo(to.x * scale, to.y * scale);
+      }
+    }
+    ctx.stroke();
+  }
+  
+  p.pop();
+}
+
+/**
+ * Move a tile point from its cell frame to canvas coordinates
+ * @param {Object} pt - {x, y} around the cell center
+ * @param {Object} t - {x, y, tile}
+ * @returns {Object} - {x, y}
+ */
+function toCanvas(pt, t) {
+  const rad = (t.tile.rotation * Math.PI) / 180;
+  const y = t.tile.mirror ? -pt.y : pt.y;
+  return {
+    x: t.x + pt.x * Math.cos(rad) - y * Math.sin(rad),
+    y: t.y + pt.x * Math.sin(rad) + y * Math.cos(rad),
+  };
+}
+
+/**
+ * Join segments sharing end points into continuous chains
+ * @param {Array} segments - {from, to, center} in canvas coordinates
+ * @returns {Array} - array of segment chains, each running end to end
+ */
+function chainSegments(segments) {
+  const keyOf = pt => `${Math.round(pt.x * 100)},${Math.round(pt.y * 100)}`;
+  const reverse = s => ({ from: s.to, to: s.from, center: s.center });
+  
+  const byPoint = new Map();
+  segments.forEach((s, i) => {
+    for (const key of [keyOf(s.from), keyOf(s.to)]) {
+      if (!byPoint.has(key)) byPoint.set(key, []);
+      byPoint.get(key).push(i);
+    }
+  });
+  
+  const used = new Array(segments.length).fill(false);
+  const take = pt => {
+    const i = (byPoint.get(keyOf(pt)) || []).find(j => !used[j]);
+    if (i === undefined) return null;
+    used[i] = true;
+    return segments[i];
+  };
+  
+  const chains = [];
+  for (let i = 0; i < segments.length; i++) {
+    if (used[i]) continue;
+    used[i] = true;
+    const chain = [segments[i]];
+    
+    // Extend forward from the end, then backward from the start
+    for (let s = take(chain[chain.length - 1].to); s; s = take(chain[chain.length - 1].to)) {
+      chain.push(keyOf(s.from) === keyOf(chain[chain.length - 1].to) ? s : reverse(s));
+    }
+    for (let s = take(chain[0].from); s; s = take(chain[0].from)) {
+      chain.unshift(keyOf(s.to) === keyOf(chain[0].from) ? s : reverse(s));
+    }
+    chains.push(chain);
+  }
+  return chains;
+}
+
+/**
+ * Convert a segment chain to SVG path data
+ * @param {Array} chain - segments running end to end
+ * @returns {string}
+ */
+function chainToPathData(chain) {
+  const start = chain[0].from;
+  let d = `M${num(start.x)} ${num(start.y)}`;
+  for (const s of chain) {
+    if (s.center) {
+      const r = num(Math.hypot(s.from.x - s.center.x, s.from.y - s.center.y));
+      d += `A${r} ${r} 0 0 ${getTurn(s) > 0 ? 1 : 0} ${num(s.to.x)} ${num(s.to.y)}`;
+    } else {
+      d += `L${num(s.to.x)} ${num(s.to.y)}`;
+    }
+  }
+  const end = chain[chain.length - 1].to;
+  if (chain.length > 1 && Math.hypot(end.x - start.x, end.y - start.y) < 0.01) d += 'Z';
+  return d;
+}
+
+/**
+ * Generate an SVG of Truchet tiles. Arcs and lines are joined across cells
+ * into continuous paths per color and opacity; filled tiles are merged per
+ * color and opacity.
+ * @param {Array} tiles - array of {x, y, tile, color, opacity}
+ * @param {Object} options - {width, height, background, lineWidth,
+ *   underlay, overlay}; underlay and overlay as for generateSVG
+ * @returns {string} - SVG XML string
+ */
+export function generateTruchetSVG(tiles, options) {
+  const { lineWidth } = options;
+  
+  if (truchet.tile === 'smith' || truchet.tile === 'triangles') {
+    const shapes = tiles.map(t => ({
+      x: t.x,
+      y: t.y,
+      size: 1,
+      contours: t.tile.fills,
+      rotation: 0,
+      cellRotation: t.tile.rotation,
+      mirror: t.tile.mirror,
+      fill: t.color,
+      opacity: num(t.opacity),
+    }));
+    return generateMergedSVG(shapes, { ...options, keepOpacity: true });
+  }
+  
+  // Stroked tiles: segments in canvas coordinates, grouped by color and
+  // opacity
+  const groups = new Map();
+  for (const t of tiles) {
+    const opacity = num(t.opacity);
+    const key = `${t.color}|${opacity}`;
+    if (!groups.has(key)) groups.set(key, { color: t.color, opacity, segments: [] });
+    for (const s of t.tile.strokes) {
+      groups.get(key).segments.push({
+        from: toCanvas(s.from, t),
+        to: toCanvas(s.to, t),
+        center: s.center ? toCanvas(s.center, t) : null,
+      });
+    }
+  }
+  
+  const cap = truchet.tile === 'diagonal' ? 'round' : 'butt';
+  let svg = '';
+  for (const { color, opacity, segments } of groups.values()) {
+    const d = chainSegments(segments).map(chainToPathData).join('');
+    if (!d) continue;
+    const paint = toSVGPaint(color, opacity);
+    svg += `  <path d="${d}" fill="none" stroke="${paint.paint}" stroke-width="${lineWidth}" stroke-linecap="${cap}" stroke-linejoin="round" stroke-opacity="${paint.opacity}"/>\n`;
+  }
+  
+  return wrapSVG(svg, options);
+}
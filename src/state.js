@@ -32,8 +32,39 @@ export const grid = {
   cellSize: 60,
   offsetX: 0,
   offsetY: 0,
-  symmetry: 'none', // none, horizontal, vertical, both, radial
-  symmetryCount: 6, // for radial symmetry
+  layout: 'grid', // grid, rings, phyllotaxis
+  lattice: 'square', // square, hex, triangle, brick, halfdrop
+  
+  // Concentric rings layout
+  ringCount: 6,
+  ringItems: 6,
+  ringGrowth: 'radius', // constant, radius
+  
+  // Phyllotaxis layout
+  spiralCount: 200,
+  spiralAngle: 137.508, // golden angle in degrees
+  symmetry: 'none', // none, horizontal, vertical, both, radial, dihedral, or a wallpaper group (p1-p6m)
+  symmetryCount: 6, // for radial/dihedral symmetry
+  tileSize: 6, // wallpaper group repeat, in cells
+};
+
+export const layoutOptions = {
+  'Grid': 'grid',
+  'Concentric Rings': 'rings',
+  'Phyllotaxis Spiral': 'phyllotaxis',
+};
+
+export const ringGrowthOptions = {
+  'Constant': 'constant',
+  'Grow with Radius': 'radius',
+};
+
+export const latticeOptions = {
+  'Square': 'square',
+  'Hexagonal': 'hex',
+  'Triangular': 'triangle',
+  'Brick (Row Offset)': 'brick',
+  'Half-Drop (Col Offset)': 'halfdrop',
 };
 
 export const symmetryOptions = {
@@ -41,12 +72,31 @@ export const symmetryOptions = {
   'Horizontal': 'horizontal',
   'Vertical': 'vertical',
   'Both (4-way)': 'both',
-  'Radial': 'radial',
+  'Radial (Cyclic)': 'radial',
+  'Dihedral': 'dihedral',
+  'Wallpaper p1': 'p1',
+  'Wallpaper p2': 'p2',
+  'Wallpaper pm': 'pm',
+  'Wallpaper pg': 'pg',
+  'Wallpaper cm': 'cm',
+  'Wallpaper pmm': 'pmm',
+  'Wallpaper pmg': 'pmg',
+  'Wallpaper pgg': 'pgg',
+  'Wallpaper cmm': 'cmm',
+  'Wallpaper p4': 'p4',
+  'Wallpaper p4m': 'p4m',
+  'Wallpaper p4g': 'p4g',
+  'Wallpaper p3': 'p3',
+  'Wallpaper p3m1': 'p3m1',
+  'Wallpaper p31m': 'p31m',
+  'Wallpaper p6': 'p6',
+  'Wallpaper p6m': 'p6m',
 };
 
 // Shape settings
 export const shape = {
-  type: 'circle', // circle, square, triangle, hexagon, star, heart, custom
+  type: 'circle', // circle, square, triangle, hexagon, polygon, star, heart, superformula, superellipse, glyph, custom
+  customAsset: '', // id of the SVG asset drawn by the custom type
   size: 0.8, // 0-1 relative to cell size
   rotation: 0,
   rotationAuto: false,
@@ -63,6 +113,37 @@ export const shape = {
   rotateMin: 0,
   rotateMax: 360,
   
+  // Parametric shape parameters (center values)
+  sides: 5, // polygon
+  starPoints: 5,
+  innerRatio: 0.5, // star inner radius / outer radius
+  crossThickness: 0.3, // arm thickness / size
+  
+  // Gielis superformula: r = (|cos(m*phi/4)/a|^n2 + |sin(m*phi/4)/b|^n3)^(-1/n1)
+  superM: 6,
+  superN1: 2,
+  superN2: 2,
+  superN3: 2,
+  superA: 1,
+  superB: 1,
+  
+  // Superellipse: |x|^e + |y|^e = 1
+  ellipseExponent: 4,
+  
+  // Distance-based shape parameters: center values above, edge values here
+  paramMode: 'none', // none, linear, easeIn, easeOut, easeInOut, step
+  sidesEdge: 8,
+  starPointsEdge: 10,
+  innerRatioEdge: 0.2,
+  crossThicknessEdge: 0.6,
+  superMEdge: 6,
+  superN1Edge: 0.5,
+  superN2Edge: 0.5,
+  superN3Edge: 0.5,
+  superAEdge: 1,
+  superBEdge: 1,
+  ellipseExponentEdge: 1,
+  
   // Stroke/fill
   fillMode: 'solid', // solid, gradient, distance, random
   fillColor: '#4a9eff',
@@ -71,6 +152,7 @@ export const shape = {
   strokeColor: '#ffffff',
   strokeWeight: 1,
   strokeOpacity: 1.0,
+  svgColors: 'cell', // cell, original, palette (custom SVG paths only)
   
   // Blend mode
   blendMode: 'blend', // blend, add, multiply, screen, overlay, difference
@@ -81,13 +163,190 @@ export const shapeTypeOptions = {
   'Square': 'square',
   'Triangle': 'triangle',
   'Hexagon': 'hexagon',
+  'Polygon': 'polygon',
   'Star': 'star',
   'Diamond': 'diamond',
   'Cross': 'cross',
   'Heart': 'heart',
+  'Superformula': 'superformula',
+  'Superellipse': 'superellipse',
+  'Glyph': 'glyph',
   'Custom SVG': 'custom',
 };
 
+// Truchet tiles: each lattice cell draws a tile instead of a centered shape
+export const truchet = {
+  enabled: false,
+  tile: 'arcs', // arcs, diagonal, smith, triangles
+  orient: 'random', // random, noise, distance, symmetry
+  lineWidth: 6, // stroke width of arc and diagonal tiles (px)
+};
+
+export const truchetTileOptions = {
+  'Quarter Arcs': 'arcs',
+  'Diagonals': 'diagonal',
+  'Smith (Filled)': 'smith',
+  'Triangles (Filled)': 'triangles',
+};
+
+export const truchetOrientOptions = {
+  'Seeded Random': 'random',
+  'Noise Value': 'noise',
+  'Distance': 'distance',
+  'Symmetry': 'symmetry',
+};
+
+// Connections: lines or curves between neighboring cells
+export const connections = {
+  enabled: false,
+  mode: 'adjacent', // adjacent, diagonal, nearest, radius
+  k: 3, // neighbors per cell for nearest
+  radius: 1.5, // in cell sizes, for radius
+  weight: 1.5, // stroke weight (px)
+  weightMap: 'none', // none, distance, noise
+  opacity: 0.6,
+  opacityMap: 'none',
+  curvature: 0, // control point offset as a fraction of the length
+  curveMap: 'none',
+  colorMode: 'cell', // cell, fixed
+  color: '#ffffff',
+  above: false, // draw over the shapes instead of under them
+};
+
+export const connectionModeOptions = {
+  'Adjacent (4)': 'adjacent',
+  'With Diagonals (8)': 'diagonal',
+  'K-Nearest': 'nearest',
+  'Within Radius': 'radius',
+};
+
+export const connectionMapOptions = {
+  'None': 'none',
+  'Distance': 'distance',
+  'Noise Value': 'noise',
+};
+
+export const connectionColorOptions = {
+  'Cell Color': 'cell',
+  'Fixed': 'fixed',
+};
+
+// Line mode: each row (or ring) of cells becomes one continuous strip whose
+// displacement and width follow the value that would size the shapes
+export const lines = {
+  enabled: false,
+  displacement: 1.5, // peak offset in cell sizes (up for rows, outward for rings)
+  widthMin: 0.5, // strip width at value 0 (px)
+  widthMax: 4, // strip width at value 1 (px)
+  smooth: true, // curves through the cells instead of straight segments
+  occlude: true, // rows in front hide the ones behind
+  colorMode: 'cell', // cell, row
+  output: 'outline', // outline, stroke
+};
+
+export const lineColorOptions = {
+  'Cell Color': 'cell',
+  'Palette by Row': 'row',
+};
+
+export const lineOutputOptions = {
+  'Variable-Width Outlines': 'outline',
+  'Single Strokes (Plotter)': 'stroke',
+};
+
+// Metaballs: every cell is a field source sized like its shape; the summed
+// field is contoured into merging blobs
+export const metaballs = {
+  enabled: false,
+  threshold: 1, // field level of the outer contour (1 traces a lone cell's shape size)
+  blend: 2, // reach of each source in shape radii; larger merges from further
+  levels: 1, // iso-levels, each filled with the next palette color
+  levelStep: 0.5, // field increase from one level to the next
+  resolution: 4, // marching squares step (px)
+  smoothing: 1, // 0 straight segments, 1 smooth curves
+};
+
+// Voronoi: cell centers tessellate the canvas into regions or triangles
+export const voronoi = {
+  enabled: false,
+  style: 'regions', // regions, triangles
+  gap: 2, // leading between pieces (px)
+  rounding: 0, // corner radius (px)
+};
+
+export const voronoiStyleOptions = {
+  'Voronoi Regions': 'regions',
+  'Delaunay Triangles': 'triangles',
+};
+
+// Glyph shapes: characters of a string drawn with an uploaded font
+export const glyph = {
+  text: 'FLAKE', // characters to pick from, e.g. ' .:-=+*#%@' for ASCII art
+  select: 'index', // index, distance, brightness
+  fontName: '', // loaded font (fonts are not saved with presets)
+};
+
+export const glyphSelectOptions = {
+  'Cell Index': 'index',
+  'Distance': 'distance',
+  'Mask Brightness': 'brightness',
+};
+
+// Shape set: an ordered list of shape keys, one picked per cell
+export const shapeSet = {
+  enabled: false,
+  rule: 'distance', // distance, noise, palette, checker, random
+  shapes: ['circle', 'square', 'triangle'], // built-in types or 'svg:<asset id>'
+};
+
+export const shapeRuleOptions = {
+  'Distance Bands': 'distance',
+  'Noise Value': 'noise',
+  'Palette Index': 'palette',
+  'Checkerboard': 'checker',
+  'Seeded Random': 'random',
+};
+
+// Shape morphing between two shape keys, replacing the shape/shape set
+export const morph = {
+  enabled: false,
+  from: 'circle', // built-in type or 'svg:<asset id>'
+  to: 'star',
+  driver: 'distance', // distance, noise, time
+  easing: 'linear', // linear, easeIn, easeOut, easeInOut, step
+};
+
+// Nesting: concentric copies of each cell's shape (targets, onion skins)
+export const nesting = {
+  enabled: false,
+  copies: 3, // copies drawn inside the shape
+  scaleStep: 0.25, // size lost per copy (fraction of the shape size, negative grows)
+  offsetStep: 0, // contour inset per copy (fraction of the shape size, negative outsets)
+  rotationStep: 0, // degrees added per copy
+  colors: 'palette', // cell, palette, alternate
+};
+
+export const nestingColorOptions = {
+  'Cell Color': 'cell',
+  'Palette Steps': 'palette',
+  'Alternate': 'alternate',
+};
+
+export const morphDriverOptions = {
+  'Distance': 'distance',
+  'Noise Value': 'noise',
+  'Animation Time': 'time',
+};
+
+export const paramModeOptions = {
+  'None (Fixed)': 'none',
+  'Linear': 'linear',
+  'Ease In': 'easeIn',
+  'Ease Out': 'easeOut',
+  'Ease In-Out': 'easeInOut',
+  'Step': 'step',
+};
+
 export const scaleModeOptions = {
   'None (Uniform)': 'none',
   'Linear': 'linear',
@@ -105,6 +364,12 @@ export const fillModeOptions = {
   'Random': 'random',
 };
 
+export const svgColorOptions = {
+  'Cell Colors': 'cell',
+  'Original Colors': 'original',
+  'Palette by Path': 'palette',
+};
+
 export const blendModeOptions = {
   'Normal': 'blend',
   'Add': 'add',
@@ -119,12 +384,51 @@ export const blendModeOptions = {
 export const pattern = {
   enabled: false,
   seed: 1,
+  noiseType: 'simplex', // simplex, value, worleyF1, worleyF2, worleyF2F1, curl
   noiseScale: 0.1,
   noiseIntensity: 0.5,
   noiseOctaves: 1,
+  noiseLacunarity: 2.0,
+  noiseGain: 0.5,
+  noiseVariant: 'fbm', // fbm, ridged, billow
+  noiseWarp: 0, // domain warp amount
+  noiseSpeed: 0.5, // radius of the loop through noise space
+  
+  // Where the noise is applied
+  noiseToSize: true,
+  noiseToRotation: false,
+  noiseRotation: 180, // max rotation offset in degrees
+  noiseToColor: false,
+  noiseColor: 0.5, // color index / gradient shift amount
+  noiseToPosition: false,
+  noisePosition: 0.25, // max offset as a fraction of cell size
+  
+  // Static per-cell position jitter
+  jitter: 0, // max offset as a fraction of cell size
+  jitterMode: 'random', // random, noise
   seedRandom: true,
 };
 
+export const noiseTypeOptions = {
+  'Simplex': 'simplex',
+  'Value': 'value',
+  'Worley F1': 'worleyF1',
+  'Worley F2': 'worleyF2',
+  'Worley F2-F1': 'worleyF2F1',
+  'Curl': 'curl',
+};
+
+export const jitterModeOptions = {
+  'Seeded Random': 'random',
+  'Noise': 'noise',
+};
+
+export const noiseVariantOptions = {
+  'fBm': 'fbm',
+  'Ridged': 'ridged',
+  'Billow': 'billow',
+};
+
 // Animation settings
 export const animation = {
   enabled: false,
@@ -139,21 +443,90 @@ export const animation = {
   animateRotation: false,
   animateColor: false,
   animatePosition: false,
+  animateOpacity: false,
+  animateShape: false, // sweep shape parameters between center and edge values
   
   // Animation range
   sizeRange: 0.3,
   rotationRange: 180,
-  colorShift: 0.1,
-  positionRange: 10,
+  colorShift: 0.1, // hue shift as a fraction of the color wheel
+  positionRange: 10, // pixels
+  opacityRange: 0.5,
+  
+  // Phase offsets: how animations propagate across the pattern
+  phaseMode: 'distance', // none, distance, angle, rowcol, noise, random
+  frequency: 1, // cycles per loop
+  wavelength: 0.5, // fraction of the phase range covered by one wave
+  phaseAngle: 45, // sweep direction in degrees (row/col mode)
+  phaseReverse: false,
+  
+  // Color animation
+  colorMode: 'rotate', // rotate, hue, scroll
+  colorPhase: true, // delay color animation by the cell phase
+  
+  // Position displacement
+  positionMode: 'orbit', // orbit, breathe, wave, drift
+  positionAxis: 'rows', // rows, cols (wave mode)
+  positionWavelength: 8, // cells per wave (wave mode)
+};
+
+export const phaseModeOptions = {
+  'None': 'none',
+  'Distance': 'distance',
+  'Angle': 'angle',
+  'Row/Col': 'rowcol',
+  'Noise': 'noise',
+  'Random': 'random',
+};
+
+export const colorAnimationOptions = {
+  'Palette Rotation': 'rotate',
+  'Hue Shift': 'hue',
+  'Gradient Scroll': 'scroll',
+};
+
+export const positionModeOptions = {
+  'Orbit': 'orbit',
+  'Breathe': 'breathe',
+  'Sine Wave': 'wave',
+  'Noise Drift': 'drift',
+};
+
+export const positionAxisOptions = {
+  'Along Rows': 'rows',
+  'Along Columns': 'cols',
 };
 
 // Color palette
 export const palette = {
-  colors: ['#4a9eff', '#ff6b6b', '#4ecdc4', '#ffe66d', '#a8e6cf'],
+  // Gradient stops: position 0-1 along the gradient, alpha 0-1
+  stops: [
+    { color: '#4a9eff', position: 0, alpha: 1 },
+    { color: '#ff6b6b', position: 0.25, alpha: 1 },
+    { color: '#4ecdc4', position: 0.5, alpha: 1 },
+    { color: '#ffe66d', position: 0.75, alpha: 1 },
+    { color: '#a8e6cf', position: 1, alpha: 1 },
+  ],
+  interpolation: 'srgb', // srgb, linear, oklab, oklch
+  hue: 'shorter', // shorter, longer, increasing, decreasing (OKLCH only)
   useGradient: false,
   gradientAngle: 0,
 };
 
+export const paletteInterpolationOptions = {
+  'sRGB': 'srgb',
+  'Linear RGB': 'linear',
+  'OKLab': 'oklab',
+  'OKLCH': 'oklch',
+};
+
+export const paletteHueOptions = {
+  'Shorter': 'shorter',
+  'Longer': 'longer',
+  'Increasing': 'increasing',
+  'Decreasing': 'decreasing',
+};
+
 // Mask settings
 export const mask = {
   enabled: false,
@@ -162,14 +535,58 @@ export const mask = {
   brightnessInvert: false,
   threshold: 0.5,
   smoothness: 0.1,
+  fit: 'stretch', // stretch, contain, cover
+  scale: 1.0,
+  offsetX: 0,
+  offsetY: 0,
+};
+
+export const maskModeOptions = {
+  'Scale': 'scale',
+  'Opacity': 'opacity',
+  'Both': 'both',
+};
+
+export const maskFitOptions = {
+  'Stretch': 'stretch',
+  'Contain': 'contain',
+  'Cover': 'cover',
+};
+
+// Distance field / attractor settings
+export const field = {
+  enabled: false,
+  showHandles: true,
+  smoothness: 0.2, // smooth-min blend radius
+  attractors: [], // see createAttractor in fields.js
 };
 
-// Custom shape (SVG)
-export const customShape = {
-  svgData: null,
-  paths: [],
-  bounds: { x: 0, y: 0, width: 1, height: 1 },
-  name: '',
+export const attractorTypeOptions = {
+  'Point': 'point',
+  'Line Segment': 'segment',
+  'Ring': 'ring',
+  'Box': 'box',
+  'SVG Outline': 'svg',
+};
+
+export const falloffOptions = {
+  'Linear': 'linear',
+  'Ease In': 'easeIn',
+  'Ease Out': 'easeOut',
+  'Ease In-Out': 'easeInOut',
+  'Step': 'step',
+};
+
+export const combineOptions = {
+  'Min (Union)': 'min',
+  'Smooth Min': 'smoothMin',
+  'Add': 'add',
+  'Subtract': 'subtract',
+};
+
+// Imported SVG shapes (see assets.js)
+export const assets = {
+  svgs: [], // {id, name, paths, bounds, outline}; outline is cached at import
 };
 
 // Export settings
@@ -177,6 +594,10 @@ export const exportSettings = {
   format: 'png', // png, svg, sequence, webm, gif
   scale: 1,
   quality: 0.92,
+  mergeOutlines: false, // SVG: one united compound path per color
+  stencil: false, // SVG merge: cut each color out of the canvas frame
+  minFeature: 0, // SVG merge: drop pieces and holes smaller than this (px)
+  bridgeWidth: 0, // SVG stencil: bridges holding islands in place (px)
   status: 'Ready',
 };
 
@@ -240,6 +661,16 @@ export function calculateScale(distNormalized) {
   return shape.scaleMin + (shape.scaleMax - shape.scaleMin) * eased;
 }
 
+// Calculate how far shape parameters move from their center values (0)
+// toward their edge values (1) at a normalized distance
+export function calculateParamMix(distNormalized) {
+  const mode = shape.paramMode;
+  if (mode === 'none') return 0;
+  
+  const ease = easings[mode] || easings.linear;
+  return ease(distNormalized);
+}
+
 // Calculate rotation based on normalized distance
 export function calculateRotation(distNormalized, baseRotation) {
   const mode = shape.rotateMode;
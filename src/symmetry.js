@@ -0,0 +1,300 @@
+// ============================================================
+// Symmetry Engine - Rosette and wallpaper group transforms
+// ============================================================
+
+import { grid, canvas } from './state.js';
+
+const SQRT3 = Math.sqrt(3);
+
+/**
+ * Create a group operation. The linear part is a rotation applied after
+ * an optional reflection across the x-axis:
+ *   M = R(rotation) * (mirror ? diag(1, -1) : I)
+ * so a reflection across a line at angle a is op(2a, true). The translation
+ * (tx, ty) is given in fractional lattice coordinates.
+ * @param {number} rotation - rotation in degrees
+ * @param {boolean} mirror - reflect across the x-axis first
+ * @param {number} tx - translation along the first lattice vector
+ * @param {number} ty - translation along the second lattice vector
+ * @returns {Object} - {rotation, mirror, tx, ty}
+ */
+function op(rotation, mirror = false, tx = 0, ty = 0) {
+  return { rotation, mirror, tx, ty };
+}
+
+/**
+ * Build the n rotations (and optionally n reflections) of a rosette group
+ * @param {number} n - order
+ * @param {boolean} dihedral - include reflections
+ * @returns {Array} - group operations
+ */
+function rosetteOps(n, dihedral) {
+  const ops = [];
+  for (let i = 0; i < n; i++) ops.push(op((360 * i) / n));
+  if (dihedral) {
+    for (let i = 0; i < n; i++) ops.push(op((360 * i) / n, true));
+  }
+  return ops;
+}
+
+/**
+ * Add a translation to every operation in a list (used for centering)
+ * @param {Array} ops - group operations
+ * @param {number} tx - fractional x translation
+ * @param {number} ty - fractional y translation
+ * @returns {Array} - translated operations
+ */
+function shifted(ops, tx, ty) {
+  return ops.map(o => op(o.rotation, o.mirror, o.tx + tx, o.ty + ty));
+}
+
+// Operations follow the International Tables coordinates with the origin on
+// the highest-order rotation center. Rectangular and centered groups use a
+// square cell, the three- and six-fold groups a hexagonal one.
+const P4 = rosetteOps(4, false);
+const P3 = rosetteOps(3, false);
+const P6 = rosetteOps(6, false);
+const PMM = [op(0), op(180), op(180, true), op(0, true)];
+const CM = [op(0), op(180, true)];
+
+const wallpaperGroups = {
+  p1: { lattice: 'square', ops: [op(0)] },
+  p2: { lattice: 'square', ops: [op(0), op(180)] },
+  pm: { lattice: 'square', ops: [op(0), op(180, true)] },
+  pg: { lattice: 'square', ops: [op(0), op(180, true, 0, 0.5)] },
+  cm: { lattice: 'square', ops: [...CM, ...shifted(CM, 0.5, 0.5)] },
+  pmm: { lattice: 'square', ops: PMM },
+  pmg: { lattice: 'square', ops: [op(0), op(180), op(180, true, 0.5, 0), op(0, true, 0.5, 0)] },
+  pgg: { lattice: 'square', ops: [op(0), op(180), op(180, true, 0.5, 0.5), op(0, true, 0.5, 0.5)] },
+  cmm: { lattice: 'square', ops: [...PMM, ...shifted(PMM, 0.5, 0.5)] },
+  p4: { lattice: 'square', ops: P4 },
+  p4m: { lattice: 'square', ops: rosetteOps(4, true) },
+  p4g: {
+    lattice: 'square',
+    ops: [...P4, op(180, true, 0.5, 0.5), op(0, true, 0.5, 0.5), op(90, true, 0.5, 0.5), op(270, true, 0.5, 0.5)],
+  },
+  p3: { lattice: 'hex', ops: P3 },
+  // Mirrors perpendicular to the translations (through every 3-fold center)
+  p3m1: { lattice: 'hex', ops: [...P3, op(60, true), op(180, true), op(300, true)] },
+  // Mirrors along the translations
+  p31m: { lattice: 'hex', ops: [...P3, op(0, true), op(120, true), op(240, true)] },
+  p6: { lattice: 'hex', ops: P6 },
+  p6m: { lattice: 'hex', ops: rosetteOps(6, true) },
+};
+
+/**
+ * Check whether a symmetry mode is one of the 17 wallpaper groups
+ * @param {string} mode - symmetry mode
+ * @returns {boolean}
+ */
+export function isWallpaperGroup(mode) {
+  return Object.prototype.hasOwnProperty.call(wallpaperGroups, mode);
+}
+
+/**
+ * Get the operations and translation lattice for the current symmetry
+ * @returns {Object} - {ops, v1, v2} where v1/v2 are null for rosette groups
+ */
+export function getSymmetryGroup() {
+  const n = Math.max(1, Math.round(grid.symmetryCount));
+  
+  if (isWallpaperGroup(grid.symmetry)) {
+    const group = wallpaperGroups[grid.symmetry];
+    const a = Math.max(1, grid.tileSize) * grid.cellSize;
+    return {
+      ops: group.ops,
+      v1: { x: a, y: 0 },
+      v2: group.lattice === 'hex' ? { x: a / 2, y: (a * SQRT3) / 2 } : { x: 0, y: a },
+    };
+  }
+  
+  let ops;
+  switch (grid.symmetry) {
+    case 'horizontal': ops = [op(0), op(180, true)]; break;
+    case 'vertical': ops = [op(0), op(0, true)]; break;
+    case 'both': ops = PMM; break;
+    case 'radial': ops = rosetteOps(n, false); break;
+    case 'dihedral': ops = rosetteOps(n, true); break;
+    default: ops = [op(0)];
+  }
+  return { ops, v1: null, v2: null };
+}
+
+/**
+ * Apply a group operation to a point
+ * @param {Object} o - group operation
+ * @param {number} x - point x
+ * @param {number} y - point y
+ * @param {Object} center - origin of the group
+ * @param {Object} group - group from getSymmetryGroup
+ * @param {number} i - extra lattice translation along v1
+ * @param {number} j - extra lattice translation along v2
+ * @returns {Object} - {x, y}
+ */
+function transformPoint(o, x, y, center, group, i = 0, j = 0) {
+  const rad = (o.rotation * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const dx = x - center.x;
+  const dy = o.mirror ? -(y - center.y) : y - center.y;
+  
+  let tx = center.x + dx * cos - dy * sin;
+  let ty = center.y + dx * sin + dy * cos;
+  
+  if (group.v1) {
+    const fi = o.tx + i;
+    const fj = o.ty + j;
+    tx += fi * group.v1.x + fj * group.v2.x;
+    ty += fi * group.v1.y + fj * group.v2.y;
+  }
+  
+  return { x: tx, y: ty };
+}
+
+/**
+ * Get the orbit of a generic reference point. Its Dirichlet region (the
+ * points closer to the reference than to any of its images) is used as the
+ * fundamental domain, which works the same way for every group.
+ * @param {Object} center - origin of the group
+ * @param {Object} group - group from getSymmetryGroup
+ * @returns {Object} - {reference, images}
+ */
+function getReferenceOrbit(center, group) {
+  let reference;
+  if (group.v1) {
+    // Off every mirror, glide axis and rotation center of all 17 groups
+    const a = group.v1.x;
+    reference = { x: center.x + a * 0.1234, y: center.y + a * 0.0567 };
+  } else {
+    // Inside the first wedge between mirror lines
+    const n = group.ops.filter(o => !o.mirror).length;
+    const rad = (0.2345 * Math.PI) / n;
+    reference = { x: center.x + Math.cos(rad), y: center.y + Math.sin(rad) };
+  }
+  
+  const images = [];
+  const range = group.v1 ? 2 : 0;
+  for (let i = -range; i <= range; i++) {
+    for (let j = -range; j <= range; j++) {
+      for (let k = 0; k < group.ops.length; k++) {
+        if (k === 0 && i === 0 && j === 0) continue;
+        images.push(transformPoint(group.ops[k], reference.x, reference.y, center, group, i, j));
+      }
+    }
+  }
+  
+  return { reference, images };
+}
+
+/**
+ * Check if a point lies in the fundamental domain (boundary included)
+ * @param {number} x - point x
+ * @param {number} y - point y
+ * @param {Object} orbit - reference orbit
+ * @returns {boolean}
+ */
+function inFundamentalDomain(x, y, orbit) {
+  const { reference, images } = orbit;
+  const d0 = (x - reference.x) ** 2 + (y - reference.y) ** 2;
+  const eps = 1e-9 * (1 + d0);
+  for (const img of images) {
+    if (d0 > (x - img.x) ** 2 + (y - img.y) ** 2 + eps) return false;
+  }
+  return true;
+}
+
+/**
+ * Replicate base cells over the symmetry group. Only cells inside the
+ * fundamental domain are used as the motif; every copy carries the source
+ * cell's data plus its transform (rotation in degrees and a mirror flag,
+ * applied as rotate(rotation) then scale(1, -1)).
+ * @param {Array} baseCells - cells from the layout with dist already set
+ * @param {Object} center - grid center (origin of the group)
+ * @returns {Array} - array of cell data with rotation/mirror/isOriginal
+ */
+export function applySymmetry(baseCells, center) {
+  const group = getSymmetryGroup();
+  
+  if (group.ops.length === 1 && !group.v1) {
+    return baseCells.map(cell => ({ ...cell, rotation: 0, mirror: false, isOriginal: true }));
+  }
+  
+  const orbit = getReferenceOrbit(center, group);
+  const motif = baseCells.filter(cell => inFundamentalDomain(cell.x, cell.y, orbit));
+  
+  // Translations needed to cover the canvas (wallpaper groups only)
+  let range = 0;
+  let bounds = null;
+  if (group.v1) {
+    const diag = Math.hypot(canvas.width, canvas.height);
+    const step = Math.min(Math.hypot(group.v1.x, group.v1.y), Math.hypot(group.v2.x, group.v2.y));
+    range = Math.ceil((diag * 2) / step) + 1;
+    const margin = grid.cellSize / 2;
+    bounds = { x0: -margin, y0: -margin, x1: canvas.width + margin, y1: canvas.height + margin };
+  }
+  
+  const cells = [];
+  const seen = new PositionSet(0.01);
+  
+  for (const cell of motif) {
+    for (let i = -range; i <= range; i++) {
+      for (let j = -range; j <= range; j++) {
+        for (let k = 0; k < group.ops.length; k++) {
+          const o = group.ops[k];
+          const pos = transformPoint(o, cell.x, cell.y, center, group, i, j);
+          if (bounds && (pos.x < bounds.x0 || pos.x > bounds.x1 || pos.y < bounds.y0 || pos.y > bounds.y1)) {
+            continue;
+          }
+          
+          // Cells on mirrors or rotation centers map onto themselves
+          if (!seen.add(pos.x, pos.y)) continue;
+          
+          cells.push({
+            ...cell,
+            x: pos.x,
+            y: pos.y,
+            rotation: o.rotation,
+            mirror: o.mirror,
+            isOriginal: k === 0 && i === 0 && j === 0,
+          });
+        }
+      }
+    }
+  }
+  
+  return cells;
+}
+
+/**
+ * Set of positions with a snapping tolerance
+ */
+class PositionSet {
+  constructor(tolerance) {
+    this.tolerance = tolerance;
+    this.buckets = new Map();
+  }
+  
+  /**
+   * Add a position unless one already exists within the tolerance
+   * @param {number} x - x position
+   * @param {number} y - y position
+   * @returns {boolean} - true if the position was new
+   */
+  add(x, y) {
+    const t = this.tolerance;
+    const bx = Math.floor(x / t);
+    const by = Math.floor(y / t);
+    for (let i = -1; i <= 1; i++) {
+      for (let j = -1; j <= 1; j++) {
+        const bucket = this.buckets.get(`${bx + i},${by + j}`);
+        if (bucket && bucket.some(p => Math.abs(p.x - x) <= t && Math.abs(p.y - y) <= t)) {
+          return false;
+        }
+      }
+    }
+    const key = `${bx},${by}`;
+    if (!this.buckets.has(key)) this.buckets.set(key, []);
+    this.buckets.get(key).push({ x, y });
+    return true;
+  }
+}
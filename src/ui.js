@@ -4,18 +4,29 @@
 
 import { Pane } from 'tweakpane';
 import {
-  canvas, grid, shape, pattern, animation, palette, mask, preset, exportSettings,
-  ratioOptions, symmetryOptions, shapeTypeOptions,
-  scaleModeOptions, fillModeOptions, blendModeOptions,
+  canvas, grid, shape, shapeSet, morph, nesting, truchet, lines, metaballs, voronoi, connections, glyph, assets, pattern, animation, palette, mask, field, preset, exportSettings,
+  ratioOptions, layoutOptions, ringGrowthOptions, latticeOptions, symmetryOptions, shapeTypeOptions,
+  scaleModeOptions, paramModeOptions, fillModeOptions, svgColorOptions, blendModeOptions, maskModeOptions, maskFitOptions,
+  attractorTypeOptions, falloffOptions, combineOptions, noiseTypeOptions, noiseVariantOptions,
+  jitterModeOptions, phaseModeOptions, colorAnimationOptions, positionModeOptions, positionAxisOptions,
+  shapeRuleOptions, morphDriverOptions, nestingColorOptions, truchetTileOptions, truchetOrientOptions,
+  lineColorOptions, lineOutputOptions, voronoiStyleOptions, paletteInterpolationOptions, paletteHueOptions,
+  connectionModeOptions, connectionMapOptions, connectionColorOptions, glyphSelectOptions,
 } from './state.js';
 import { getPresetNames, loadPreset, saveUserPreset, exportCurrentState, importState } from './presets.js';
+import { createAttractor } from './fields.js';
+import { samplePalette, stopsFromColors, parseColor, formatColor } from './colors.js';
+import {
+  getCurrentAsset, getShapeKeyOptions, getAssetOptions, removeSVGAsset,
+} from './assets.js';
 
 let pane = null;
 let callbacks = {};
 
 // Blade references for visibility toggling
-let gridFolder, shapeFolder, patternFolder, animationFolder, colorFolder, exportFolder;
-let presetSelector;
+let gridFolder, shapeFolder, patternFolder, maskFolder, fieldFolder, animationFolder, colorFolder, exportFolder;
+let attractorListFolder, shapeSetFolder, shapeListFolder, assetListFolder, stopListFolder;
+let presetSelector, customAssetSelector, newShapeSelector, morphFromSelector, morphToSelector;
 
 /**
  * Set up the entire Tweakpane panel
@@ -41,6 +52,10 @@ export function setupUI(cbs) {
   uploadFolder.addButton({ title: 'Upload Mask Image' }).on('click', () => {
     triggerFileUpload('image/*');
   });
+  
+  uploadFolder.addButton({ title: 'Upload Font' }).on('click', () => {
+    triggerFileUpload('.ttf,.otf,.woff');
+  });
 
   // --- Presets ---
   const presetFolder = pane.addFolder({ title: 'PRESETS', expanded: true });
@@ -58,6 +73,9 @@ export function setupUI(cbs) {
   }).on('change', (ev) => {
     if (loadPreset(ev.value)) {
       callbacks.onGridChange?.();
+      rebuildAttractorUI();
+      rebuildShapeSetUI();
+      rebuildPaletteUI();
       pane.refresh();
     }
   });
@@ -98,6 +116,9 @@ export function setupUI(cbs) {
         reader.onload = (ev) => {
           if (importState(ev.target.result)) {
             callbacks.onGridChange?.();
+            rebuildAttractorUI();
+            rebuildShapeSetUI();
+            rebuildPaletteUI();
             pane.refresh();
           }
         };
@@ -110,6 +131,11 @@ export function setupUI(cbs) {
   // --- Grid Settings ---
   gridFolder = pane.addFolder({ title: 'GRID', expanded: true });
   
+  gridFolder.addBinding(grid, 'layout', {
+    label: 'Layout',
+    options: layoutOptions,
+  }).on('change', () => callbacks.onGridChange?.());
+  
   gridFolder.addBinding(grid, 'cols', {
     label: 'Columns',
     min: 1, max: 50, step: 1,
@@ -135,6 +161,36 @@ export function setupUI(cbs) {
     min: -200, max: 200, step: 5,
   }).on('change', () => callbacks.onGridChange?.());
   
+  gridFolder.addBinding(grid, 'lattice', {
+    label: 'Lattice',
+    options: latticeOptions,
+  }).on('change', () => callbacks.onGridChange?.());
+  
+  gridFolder.addBinding(grid, 'ringCount', {
+    label: 'Rings',
+    min: 1, max: 30, step: 1,
+  }).on('change', () => callbacks.onGridChange?.());
+  
+  gridFolder.addBinding(grid, 'ringItems', {
+    label: 'Items / Ring',
+    min: 1, max: 48, step: 1,
+  }).on('change', () => callbacks.onGridChange?.());
+  
+  gridFolder.addBinding(grid, 'ringGrowth', {
+    label: 'Ring Items',
+    options: ringGrowthOptions,
+  }).on('change', () => callbacks.onGridChange?.());
+  
+  gridFolder.addBinding(grid, 'spiralCount', {
+    label: 'Spiral Points',
+    min: 1, max: 2000, step: 1,
+  }).on('change', () => callbacks.onGridChange?.());
+  
+  gridFolder.addBinding(grid, 'spiralAngle', {
+    label: 'Divergence',
+    min: 0, max: 360, step: 0.01,
+  }).on('change', () => callbacks.onGridChange?.());
+  
   gridFolder.addBinding(grid, 'symmetry', {
     label: 'Symmetry',
     options: symmetryOptions,
@@ -145,6 +201,11 @@ export function setupUI(cbs) {
     min: 3, max: 24, step: 1,
   }).on('change', () => callbacks.onParamChange?.());
   
+  gridFolder.addBinding(grid, 'tileSize', {
+    label: 'Tile (cells)',
+    min: 1, max: 20, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
   gridFolder.addBinding(canvas, 'showGrid', {
     label: 'Show Grid',
   }).on('change', () => callbacks.onParamChange?.());
@@ -157,6 +218,11 @@ export function setupUI(cbs) {
     options: shapeTypeOptions,
   }).on('change', () => callbacks.onParamChange?.());
   
+  customAssetSelector = shapeFolder.addBinding(shape, 'customAsset', {
+    label: 'SVG',
+    options: getAssetOptions(),
+  }).on('change', () => callbacks.onParamChange?.());
+  
   shapeFolder.addBinding(shape, 'size', {
     label: 'Size',
     min: 0.1, max: 1.5, step: 0.05,
@@ -196,6 +262,124 @@ export function setupUI(cbs) {
     label: 'Scale Power',
     min: 0.5, max: 5, step: 0.1,
   }).on('change', () => callbacks.onParamChange?.());
+  
+  // Shape parameters (center values, mapped to edge values over distance)
+  const paramsFolder = shapeFolder.addFolder({ title: 'Parameters', expanded: false });
+  
+  paramsFolder.addBinding(shape, 'paramMode', {
+    label: 'Distance Map',
+    options: paramModeOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'sides', {
+    label: 'Sides',
+    min: 3, max: 24, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'sidesEdge', {
+    label: 'Sides (Edge)',
+    min: 3, max: 24, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'starPoints', {
+    label: 'Star Points',
+    min: 2, max: 24, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'starPointsEdge', {
+    label: 'Points (Edge)',
+    min: 2, max: 24, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'innerRatio', {
+    label: 'Inner Ratio',
+    min: 0, max: 1, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'innerRatioEdge', {
+    label: 'Inner (Edge)',
+    min: 0, max: 1, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'crossThickness', {
+    label: 'Cross Thick',
+    min: 0.05, max: 1, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'crossThicknessEdge', {
+    label: 'Thick (Edge)',
+    min: 0.05, max: 1, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'superM', {
+    label: 'Super m',
+    min: 0, max: 24, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'superMEdge', {
+    label: 'm (Edge)',
+    min: 0, max: 24, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'superN1', {
+    label: 'Super n1',
+    min: 0.1, max: 10, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'superN1Edge', {
+    label: 'n1 (Edge)',
+    min: 0.1, max: 10, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'superN2', {
+    label: 'Super n2',
+    min: 0.1, max: 10, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'superN2Edge', {
+    label: 'n2 (Edge)',
+    min: 0.1, max: 10, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'superN3', {
+    label: 'Super n3',
+    min: 0.1, max: 10, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'superN3Edge', {
+    label: 'n3 (Edge)',
+    min: 0.1, max: 10, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'superA', {
+    label: 'Super a',
+    min: 0.1, max: 2, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'superAEdge', {
+    label: 'a (Edge)',
+    min: 0.1, max: 2, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'superB', {
+    label: 'Super b',
+    min: 0.1, max: 2, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'superBEdge', {
+    label: 'b (Edge)',
+    min: 0.1, max: 2, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'ellipseExponent', {
+    label: 'Ellipse Exp',
+    min: 0.2, max: 10, step: 0.1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  paramsFolder.addBinding(shape, 'ellipseExponentEdge', {
+    label: 'Exp (Edge)',
+    min: 0.2, max: 10, step: 0.1,
+  }).on('change', () => callbacks.onParamChange?.());
 
   // Fill/Stroke
   shapeFolder.addBinding(shape, 'fillMode', {
@@ -228,11 +412,315 @@ export function setupUI(cbs) {
     min: 0, max: 10, step: 0.5,
   }).on('change', () => callbacks.onParamChange?.());
   
+  shapeFolder.addBinding(shape, 'svgColors', {
+    label: 'SVG Colors',
+    options: svgColorOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  // Glyph shapes (characters of the text, outlines from the loaded font)
+  const glyphFolder = shapeFolder.addFolder({ title: 'Glyphs', expanded: false });
+  
+  glyphFolder.addBinding(glyph, 'text', {
+    label: 'Text',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  glyphFolder.addBinding(glyph, 'select', {
+    label: 'Pick By',
+    options: glyphSelectOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  glyphFolder.addBinding(glyph, 'fontName', {
+    label: 'Font',
+    readonly: true,
+  });
+  
+  glyphFolder.addButton({ title: 'Use Local Font' }).on('click', () => {
+    const name = prompt('Enter installed font name:');
+    if (name) {
+      callbacks.onLoadLocalFont?.(name);
+    }
+  });
+  
   shapeFolder.addBinding(shape, 'blendMode', {
     label: 'Blend Mode',
     options: blendModeOptions,
   }).on('change', () => callbacks.onParamChange?.());
 
+  // --- Shape Set ---
+  shapeSetFolder = pane.addFolder({ title: 'SHAPE SET', expanded: false });
+  
+  shapeSetFolder.addBinding(shapeSet, 'enabled', {
+    label: 'Enable',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  shapeSetFolder.addBinding(shapeSet, 'rule', {
+    label: 'Pick By',
+    options: shapeRuleOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  const newShape = { key: 'circle' };
+  newShapeSelector = shapeSetFolder.addBinding(newShape, 'key', {
+    label: 'New Shape',
+    options: getShapeKeyOptions(),
+  });
+  
+  shapeSetFolder.addButton({ title: 'Add Shape' }).on('click', () => {
+    shapeSet.shapes.push(newShape.key);
+    rebuildShapeSetUI();
+    callbacks.onParamChange?.();
+  });
+  
+  shapeListFolder = shapeSetFolder.addFolder({ title: 'Shapes', expanded: true });
+  assetListFolder = shapeSetFolder.addFolder({ title: 'SVG Assets', expanded: false });
+
+  // --- Morph ---
+  const morphFolder = pane.addFolder({ title: 'MORPH', expanded: false });
+  
+  morphFolder.addBinding(morph, 'enabled', {
+    label: 'Enable',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  morphFromSelector = morphFolder.addBinding(morph, 'from', {
+    label: 'From',
+    options: getShapeKeyOptions(),
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  morphToSelector = morphFolder.addBinding(morph, 'to', {
+    label: 'To',
+    options: getShapeKeyOptions(),
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  morphFolder.addBinding(morph, 'driver', {
+    label: 'Driven By',
+    options: morphDriverOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  morphFolder.addBinding(morph, 'easing', {
+    label: 'Easing',
+    options: falloffOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  rebuildShapeSetUI();
+
+  // --- Truchet Tiles ---
+  const truchetFolder = pane.addFolder({ title: 'TRUCHET', expanded: false });
+  
+  truchetFolder.addBinding(truchet, 'enabled', {
+    label: 'Enable',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  truchetFolder.addBinding(truchet, 'tile', {
+    label: 'Tile',
+    options: truchetTileOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  truchetFolder.addBinding(truchet, 'orient', {
+    label: 'Orient By',
+    options: truchetOrientOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  truchetFolder.addBinding(truchet, 'lineWidth', {
+    label: 'Line Width',
+    min: 0.5, max: 40, step: 0.5,
+  }).on('change', () => callbacks.onParamChange?.());
+
+  // --- Line Mode ---
+  const linesFolder = pane.addFolder({ title: 'LINES', expanded: false });
+  
+  linesFolder.addBinding(lines, 'enabled', {
+    label: 'Enable',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  linesFolder.addBinding(lines, 'displacement', {
+    label: 'Displacement',
+    min: -4, max: 4, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  linesFolder.addBinding(lines, 'widthMin', {
+    label: 'Width Min',
+    min: 0, max: 40, step: 0.25,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  linesFolder.addBinding(lines, 'widthMax', {
+    label: 'Width Max',
+    min: 0, max: 40, step: 0.25,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  linesFolder.addBinding(lines, 'smooth', {
+    label: 'Smooth',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  linesFolder.addBinding(lines, 'occlude', {
+    label: 'Hide Behind',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  linesFolder.addBinding(lines, 'colorMode', {
+    label: 'Color',
+    options: lineColorOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  linesFolder.addBinding(lines, 'output', {
+    label: 'Draw As',
+    options: lineOutputOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+
+  // --- Metaballs ---
+  const metaballsFolder = pane.addFolder({ title: 'METABALLS', expanded: false });
+  
+  metaballsFolder.addBinding(metaballs, 'enabled', {
+    label: 'Enable',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  metaballsFolder.addBinding(metaballs, 'threshold', {
+    label: 'Threshold',
+    min: 0.1, max: 4, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  metaballsFolder.addBinding(metaballs, 'blend', {
+    label: 'Blend Reach',
+    min: 1.1, max: 5, step: 0.1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  metaballsFolder.addBinding(metaballs, 'levels', {
+    label: 'Levels',
+    min: 1, max: 8, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  metaballsFolder.addBinding(metaballs, 'levelStep', {
+    label: 'Level Step',
+    min: 0.05, max: 2, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  metaballsFolder.addBinding(metaballs, 'smoothing', {
+    label: 'Smoothing',
+    min: 0, max: 1, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  metaballsFolder.addBinding(metaballs, 'resolution', {
+    label: 'Resolution (px)',
+    min: 1, max: 16, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+
+  // --- Voronoi ---
+  const voronoiFolder = pane.addFolder({ title: 'VORONOI', expanded: false });
+  
+  voronoiFolder.addBinding(voronoi, 'enabled', {
+    label: 'Enable',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  voronoiFolder.addBinding(voronoi, 'style', {
+    label: 'Style',
+    options: voronoiStyleOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  voronoiFolder.addBinding(voronoi, 'gap', {
+    label: 'Leading',
+    min: 0, max: 30, step: 0.5,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  voronoiFolder.addBinding(voronoi, 'rounding', {
+    label: 'Rounding',
+    min: 0, max: 30, step: 0.5,
+  }).on('change', () => callbacks.onParamChange?.());
+
+  // --- Connections ---
+  const connectionsFolder = pane.addFolder({ title: 'CONNECTIONS', expanded: false });
+  
+  connectionsFolder.addBinding(connections, 'enabled', {
+    label: 'Enable',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  connectionsFolder.addBinding(connections, 'mode', {
+    label: 'Neighbors',
+    options: connectionModeOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  connectionsFolder.addBinding(connections, 'k', {
+    label: 'K',
+    min: 1, max: 12, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  connectionsFolder.addBinding(connections, 'radius', {
+    label: 'Radius',
+    min: 0.5, max: 6, step: 0.1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  connectionsFolder.addBinding(connections, 'weight', {
+    label: 'Weight',
+    min: 0.25, max: 20, step: 0.25,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  connectionsFolder.addBinding(connections, 'weightMap', {
+    label: 'Weight By',
+    options: connectionMapOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  connectionsFolder.addBinding(connections, 'opacity', {
+    label: 'Opacity',
+    min: 0, max: 1, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  connectionsFolder.addBinding(connections, 'opacityMap', {
+    label: 'Opacity By',
+    options: connectionMapOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  connectionsFolder.addBinding(connections, 'curvature', {
+    label: 'Curvature',
+    min: -1, max: 1, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  connectionsFolder.addBinding(connections, 'curveMap', {
+    label: 'Curve By',
+    options: connectionMapOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  connectionsFolder.addBinding(connections, 'colorMode', {
+    label: 'Color',
+    options: connectionColorOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  connectionsFolder.addBinding(connections, 'color', {
+    label: 'Fixed Color',
+    view: 'color',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  connectionsFolder.addBinding(connections, 'above', {
+    label: 'Above Shapes',
+  }).on('change', () => callbacks.onParamChange?.());
+
+  // --- Nesting ---
+  const nestingFolder = pane.addFolder({ title: 'NESTING', expanded: false });
+  
+  nestingFolder.addBinding(nesting, 'enabled', {
+    label: 'Enable',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  nestingFolder.addBinding(nesting, 'copies', {
+    label: 'Copies',
+    min: 1, max: 12, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  nestingFolder.addBinding(nesting, 'scaleStep', {
+    label: 'Scale Step',
+    min: -0.5, max: 0.5, step: 0.01,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  nestingFolder.addBinding(nesting, 'offsetStep', {
+    label: 'Inset Step',
+    min: -0.2, max: 0.2, step: 0.005,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  nestingFolder.addBinding(nesting, 'rotationStep', {
+    label: 'Rotation Step',
+    min: -90, max: 90, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  nestingFolder.addBinding(nesting, 'colors', {
+    label: 'Colors',
+    options: nestingColorOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+
   // --- Pattern/Noise Settings ---
   patternFolder = pane.addFolder({ title: 'PATTERN', expanded: false });
   
@@ -245,6 +733,11 @@ export function setupUI(cbs) {
     min: 1, max: 1000, step: 1,
   }).on('change', () => callbacks.onParamChange?.());
   
+  patternFolder.addBinding(pattern, 'noiseType', {
+    label: 'Type',
+    options: noiseTypeOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
   patternFolder.addBinding(pattern, 'noiseScale', {
     label: 'Scale',
     min: 0.01, max: 1, step: 0.01,
@@ -254,6 +747,169 @@ export function setupUI(cbs) {
     label: 'Intensity',
     min: 0, max: 1, step: 0.05,
   }).on('change', () => callbacks.onParamChange?.());
+  
+  patternFolder.addBinding(pattern, 'noiseVariant', {
+    label: 'Variant',
+    options: noiseVariantOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  patternFolder.addBinding(pattern, 'noiseOctaves', {
+    label: 'Octaves',
+    min: 1, max: 8, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  patternFolder.addBinding(pattern, 'noiseLacunarity', {
+    label: 'Lacunarity',
+    min: 1, max: 4, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  patternFolder.addBinding(pattern, 'noiseGain', {
+    label: 'Gain',
+    min: 0, max: 1, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  patternFolder.addBinding(pattern, 'noiseWarp', {
+    label: 'Domain Warp',
+    min: 0, max: 4, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  patternFolder.addBinding(pattern, 'noiseSpeed', {
+    label: 'Loop Radius',
+    min: 0, max: 4, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  // Noise routing
+  patternFolder.addBinding(pattern, 'noiseToSize', {
+    label: 'To Size',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  patternFolder.addBinding(pattern, 'noiseToRotation', {
+    label: 'To Rotation',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  patternFolder.addBinding(pattern, 'noiseRotation', {
+    label: 'Rotation Amt',
+    min: 0, max: 360, step: 5,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  patternFolder.addBinding(pattern, 'noiseToColor', {
+    label: 'To Color',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  patternFolder.addBinding(pattern, 'noiseColor', {
+    label: 'Color Amt',
+    min: 0, max: 1, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  patternFolder.addBinding(pattern, 'noiseToPosition', {
+    label: 'To Position',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  patternFolder.addBinding(pattern, 'noisePosition', {
+    label: 'Position Amt',
+    min: 0, max: 1, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  // Static jitter
+  patternFolder.addBinding(pattern, 'jitter', {
+    label: 'Jitter',
+    min: 0, max: 1, step: 0.01,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  patternFolder.addBinding(pattern, 'jitterMode', {
+    label: 'Jitter Mode',
+    options: jitterModeOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+
+  // --- Mask Settings ---
+  maskFolder = pane.addFolder({ title: 'MASK', expanded: false });
+  
+  maskFolder.addBinding(mask, 'enabled', {
+    label: 'Enable',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  maskFolder.addBinding(mask, 'brightnessMode', {
+    label: 'Affects',
+    options: maskModeOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  maskFolder.addBinding(mask, 'brightnessInvert', {
+    label: 'Invert',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  maskFolder.addBinding(mask, 'threshold', {
+    label: 'Threshold',
+    min: 0, max: 1, step: 0.01,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  maskFolder.addBinding(mask, 'smoothness', {
+    label: 'Smoothness',
+    min: 0, max: 1, step: 0.01,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  maskFolder.addBinding(mask, 'fit', {
+    label: 'Fit',
+    options: maskFitOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  maskFolder.addBinding(mask, 'scale', {
+    label: 'Mask Scale',
+    min: 0.1, max: 4, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  maskFolder.addBinding(mask, 'offsetX', {
+    label: 'Mask Offset X',
+    min: -500, max: 500, step: 5,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  maskFolder.addBinding(mask, 'offsetY', {
+    label: 'Mask Offset Y',
+    min: -500, max: 500, step: 5,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  maskFolder.addButton({ title: 'Clear Mask Image' }).on('click', () => {
+    mask.image = null;
+    mask.enabled = false;
+    pane.refresh();
+    callbacks.onParamChange?.();
+  });
+
+  // --- Distance Field / Attractors ---
+  fieldFolder = pane.addFolder({ title: 'ATTRACTORS', expanded: false });
+  
+  fieldFolder.addBinding(field, 'enabled', {
+    label: 'Enable',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  fieldFolder.addBinding(field, 'showHandles', {
+    label: 'Show Handles',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  fieldFolder.addBinding(field, 'smoothness', {
+    label: 'Smooth Min K',
+    min: 0, max: 1, step: 0.01,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  const newAttractor = { type: 'point' };
+  fieldFolder.addBinding(newAttractor, 'type', {
+    label: 'New Type',
+    options: attractorTypeOptions,
+  });
+  
+  fieldFolder.addButton({ title: 'Add Attractor' }).on('click', () => {
+    if (newAttractor.type === 'svg' && !getCurrentAsset()) {
+      setStatus('Upload an SVG shape first');
+      return;
+    }
+    field.attractors.push(createAttractor(newAttractor.type));
+    field.enabled = true;
+    rebuildAttractorUI();
+    pane.refresh();
+    callbacks.onParamChange?.();
+  });
+  
+  attractorListFolder = fieldFolder.addFolder({ title: 'Attractors', expanded: true });
+  rebuildAttractorUI();
 
   // --- Animation Settings ---
   animationFolder = pane.addFolder({ title: 'ANIMATION', expanded: false });
@@ -276,32 +932,126 @@ export function setupUI(cbs) {
     min: 30, max: 600, step: 10,
   }).on('change', () => callbacks.onParamChange?.());
   
+  // Phase offsets
+  animationFolder.addBinding(animation, 'phaseMode', {
+    label: 'Phase',
+    options: phaseModeOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'frequency', {
+    label: 'Frequency',
+    min: 1, max: 8, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'wavelength', {
+    label: 'Wavelength',
+    min: 0.05, max: 2, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'phaseAngle', {
+    label: 'Direction',
+    min: 0, max: 360, step: 5,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'phaseReverse', {
+    label: 'Reverse',
+  }).on('change', () => callbacks.onParamChange?.());
+  
   animationFolder.addBinding(animation, 'animateSize', {
     label: 'Animate Size',
   }).on('change', () => callbacks.onParamChange?.());
   
+  animationFolder.addBinding(animation, 'sizeRange', {
+    label: 'Size Range',
+    min: 0, max: 1, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
   animationFolder.addBinding(animation, 'animateRotation', {
     label: 'Animate Rot',
   }).on('change', () => callbacks.onParamChange?.());
   
+  animationFolder.addBinding(animation, 'rotationRange', {
+    label: 'Rot Range',
+    min: 0, max: 360, step: 5,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'animateShape', {
+    label: 'Animate Shape',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'animateOpacity', {
+    label: 'Animate Opacity',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'opacityRange', {
+    label: 'Opacity Range',
+    min: 0, max: 1, step: 0.05,
+  }).on('change', () => callbacks.onParamChange?.());
+  
   animationFolder.addBinding(animation, 'animateColor', {
     label: 'Animate Color',
   }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'colorMode', {
+    label: 'Color Mode',
+    options: colorAnimationOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'colorShift', {
+    label: 'Hue Shift',
+    min: 0, max: 1, step: 0.01,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'colorPhase', {
+    label: 'Color Phase',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'animatePosition', {
+    label: 'Animate Pos',
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'positionMode', {
+    label: 'Pos Mode',
+    options: positionModeOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'positionRange', {
+    label: 'Pos Range',
+    min: 0, max: 100, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'positionAxis', {
+    label: 'Wave Axis',
+    options: positionAxisOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  animationFolder.addBinding(animation, 'positionWavelength', {
+    label: 'Pos Wavelength',
+    min: 1, max: 40, step: 1,
+  }).on('change', () => callbacks.onParamChange?.());
 
   // --- Color Palette ---
   colorFolder = pane.addFolder({ title: 'PALETTE', expanded: false });
   
-  // Color pickers for each palette color
-  for (let i = 0; i < 5; i++) {
-    const colorBinding = { value: palette.colors[i] };
-    colorFolder.addBinding(colorBinding, 'value', {
-      label: `Color ${i + 1}`,
-      view: 'color',
-    }).on('change', (ev) => {
-      palette.colors[i] = ev.value;
-      callbacks.onParamChange?.();
-    });
-  }
+  colorFolder.addBinding(palette, 'interpolation', {
+    label: 'Interpolation',
+    options: paletteInterpolationOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  // Which way round the hue circle OKLCH gradients go
+  colorFolder.addBinding(palette, 'hue', {
+    label: 'Hue Direction',
+    options: paletteHueOptions,
+  }).on('change', () => callbacks.onParamChange?.());
+  
+  colorFolder.addButton({ title: 'Add Stop' }).on('click', () => {
+    addPaletteStop();
+    rebuildPaletteUI();
+    callbacks.onParamChange?.();
+  });
+  
+  stopListFolder = colorFolder.addFolder({ title: 'Stops', expanded: true });
+  rebuildPaletteUI();
   
   colorFolder.addBinding(canvas, 'background', {
     label: 'Background',
@@ -327,6 +1077,27 @@ export function setupUI(cbs) {
     min: 1, max: 4, step: 1,
   });
   
+  // Merged outlines (SVG only) for cutters and embroidery
+  const mergeFolder = exportFolder.addFolder({ title: 'SVG Outlines', expanded: false });
+  
+  mergeFolder.addBinding(exportSettings, 'mergeOutlines', {
+    label: 'Merge',
+  });
+  
+  mergeFolder.addBinding(exportSettings, 'stencil', {
+    label: 'Stencil',
+  });
+  
+  mergeFolder.addBinding(exportSettings, 'minFeature', {
+    label: 'Min Feature',
+    min: 0, max: 20, step: 0.5,
+  });
+  
+  mergeFolder.addBinding(exportSettings, 'bridgeWidth', {
+    label: 'Bridge Width',
+    min: 0, max: 20, step: 0.5,
+  });
+  
   exportFolder.addBinding(exportSettings, 'status', {
     label: 'Status',
     readonly: true,
@@ -353,6 +1124,9 @@ export function setupUI(cbs) {
   
   actionsFolder.addButton({ title: 'Reset to Default' }).on('click', () => {
     resetToDefault();
+    rebuildAttractorUI();
+    rebuildShapeSetUI();
+    rebuildPaletteUI();
     pane.refresh();
     callbacks.onParamChange?.();
     callbacks.onGridChange?.();
@@ -366,6 +1140,171 @@ export function setupUI(cbs) {
   setupKeyboardShortcuts();
 }
 
+/**
+ * Rebuild the per-attractor controls after the attractor list changes
+ */
+function rebuildAttractorUI() {
+  if (!attractorListFolder) return;
+  
+  [...attractorListFolder.children].forEach(child => attractorListFolder.remove(child));
+  
+  field.attractors.forEach((a, i) => {
+    const typeName = Object.keys(attractorTypeOptions).find(k => attractorTypeOptions[k] === a.type);
+    const folder = attractorListFolder.addFolder({ title: `${i + 1}. ${typeName || a.type}`, expanded: false });
+    const onChange = () => callbacks.onParamChange?.();
+    
+    folder.addBinding(a, 'x', { label: 'X', min: 0, max: 1, step: 0.01 }).on('change', onChange);
+    folder.addBinding(a, 'y', { label: 'Y', min: 0, max: 1, step: 0.01 }).on('change', onChange);
+    
+    switch (a.type) {
+      case 'segment':
+        folder.addBinding(a, 'x2', { label: 'End X', min: 0, max: 1, step: 0.01 }).on('change', onChange);
+        folder.addBinding(a, 'y2', { label: 'End Y', min: 0, max: 1, step: 0.01 }).on('change', onChange);
+        break;
+      case 'ring':
+        folder.addBinding(a, 'radius', { label: 'Radius', min: 0, max: 1, step: 0.01 }).on('change', onChange);
+        break;
+      case 'box':
+        folder.addBinding(a, 'width', { label: 'Width', min: 0, max: 1, step: 0.01 }).on('change', onChange);
+        folder.addBinding(a, 'height', { label: 'Height', min: 0, max: 1, step: 0.01 }).on('change', onChange);
+        break;
+      case 'svg':
+        folder.addBinding(a, 'size', { label: 'Size', min: 0.05, max: 2, step: 0.01 }).on('change', onChange);
+        folder.addBinding(a, 'rotation', { label: 'Rotation', min: 0, max: 360, step: 1 }).on('change', onChange);
+        break;
+    }
+    
+    folder.addBinding(a, 'falloff', { label: 'Falloff', options: falloffOptions }).on('change', onChange);
+    folder.addBinding(a, 'range', { label: 'Range', min: 0.01, max: 2, step: 0.01 }).on('change', onChange);
+    folder.addBinding(a, 'weight', { label: 'Weight', min: 0, max: 2, step: 0.05 }).on('change', onChange);
+    folder.addBinding(a, 'combine', { label: 'Combine', options: combineOptions }).on('change', onChange);
+    
+    folder.addButton({ title: 'Remove' }).on('click', () => {
+      field.attractors.splice(field.attractors.indexOf(a), 1);
+      rebuildAttractorUI();
+      callbacks.onParamChange?.();
+    });
+  });
+}
+
+/**
+ * Rebuild the shape set entries and SVG asset list, and refresh every
+ * dropdown listing the imported SVGs (custom shape, shape set, morph)
+ */
+export function rebuildShapeSetUI() {
+  if (!shapeListFolder) return;
+  
+  const keyOptions = toListItems(getShapeKeyOptions());
+  customAssetSelector.options = toListItems(getAssetOptions());
+  newShapeSelector.options = keyOptions;
+  morphFromSelector.options = keyOptions;
+  morphToSelector.options = keyOptions;
+  
+  [...shapeListFolder.children].forEach(child => shapeListFolder.remove(child));
+  [...assetListFolder.children].forEach(child => assetListFolder.remove(child));
+  
+  shapeSet.shapes.forEach((key, i) => {
+    const entry = { key };
+    shapeListFolder.addBinding(entry, 'key', {
+      label: `${i + 1}`,
+      options: keyOptions,
+    }).on('change', (ev) => {
+      shapeSet.shapes[i] = ev.value;
+      callbacks.onParamChange?.();
+    });
+    
+    if (i > 0) {
+      shapeListFolder.addButton({ title: `Move ${i + 1} Up` }).on('click', () => {
+        [shapeSet.shapes[i - 1], shapeSet.shapes[i]] = [shapeSet.shapes[i], shapeSet.shapes[i - 1]];
+        rebuildShapeSetUI();
+        callbacks.onParamChange?.();
+      });
+    }
+    
+    shapeListFolder.addButton({ title: `Remove ${i + 1}` }).on('click', () => {
+      shapeSet.shapes.splice(i, 1);
+      rebuildShapeSetUI();
+      callbacks.onParamChange?.();
+    });
+  });
+  
+  for (const { id, name } of assets.svgs) {
+    assetListFolder.addButton({ title: `Remove ${name}` }).on('click', () => {
+      removeSVGAsset(id);
+      rebuildShapeSetUI();
+      pane.refresh();
+      callbacks.onParamChange?.();
+    });
+  }
+}
+
+/**
+ * Rebuild the palette stop entries, in gradient order
+ */
+function rebuildPaletteUI() {
+  if (!stopListFolder) return;
+  
+  palette.stops.sort((a, b) => a.position - b.position);
+  [...stopListFolder.children].forEach(child => stopListFolder.remove(child));
+  
+  palette.stops.forEach((stop, i) => {
+    const stopFolder = stopListFolder.addFolder({ title: `Stop ${i + 1}`, expanded: true });
+    
+    stopFolder.addBinding(stop, 'color', {
+      label: 'Color',
+      view: 'color',
+    }).on('change', () => callbacks.onParamChange?.());
+    
+    stopFolder.addBinding(stop, 'position', {
+      label: 'Position',
+      min: 0, max: 1, step: 0.01,
+    }).on('change', () => callbacks.onParamChange?.());
+    
+    stopFolder.addBinding(stop, 'alpha', {
+      label: 'Alpha',
+      min: 0, max: 1, step: 0.01,
+    }).on('change', () => callbacks.onParamChange?.());
+    
+    // A palette keeps at least one stop
+    if (palette.stops.length > 1) {
+      stopFolder.addButton({ title: 'Remove' }).on('click', () => {
+        palette.stops.splice(palette.stops.indexOf(stop), 1);
+        rebuildPaletteUI();
+        callbacks.onParamChange?.();
+      });
+    }
+  });
+}
+
+/**
+ * Add a palette stop in the middle of the widest gap between stops,
+ * colored as the gradient is there so the look doesn't change
+ */
+function addPaletteStop() {
+  const positions = palette.stops.map(stop => stop.position).sort((a, b) => a - b);
+  const bounds = [0, ...positions, 1];
+  let position = 0.5;
+  let widest = -1;
+  for (let i = 0; i < bounds.length - 1; i++) {
+    if (bounds[i + 1] - bounds[i] > widest) {
+      widest = bounds[i + 1] - bounds[i];
+      position = (bounds[i] + bounds[i + 1]) / 2;
+    }
+  }
+  
+  const { r, g, b, a } = parseColor(samplePalette(position));
+  palette.stops.push({ color: formatColor({ r, g, b }), position, alpha: Math.round(a * 100) / 100 });
+}
+
+/**
+ * Convert a label-to-value options map to Tweakpane list items
+ * @param {Object} options - label to value
+ * @returns {Array} - array of {text, value}
+ */
+function toListItems(options) {
+  return Object.entries(options).map(([text, value]) => ({ text, value }));
+}
+
 /**
  * Trigger file upload dialog
  * @param {string} accept - file types to accept
@@ -389,7 +1328,7 @@ function randomizeAll() {
   
   // Shape
   const shapeTypes = Object.keys(shapeTypeOptions);
-  shape.type = shapeTypeOptions[shapeTypes[Math.floor(Math.random() * (shapeTypes.length - 1))]]; // Exclude custom
+  shape.type = shapeTypeOptions[shapeTypes[Math.floor(Math.random() * (shapeTypes.length - 2))]]; // Exclude glyph and custom
   shape.size = 0.3 + Math.random() * 0.7;
   shape.rotation = Math.floor(Math.random() * 8) * 45;
   
@@ -412,16 +1351,16 @@ function randomizeAll() {
 }
 
 /**
- * Randomize palette colors
+ * Randomize palette colors, keeping the stops' positions and alpha
  */
 function randomizeColors() {
   const hue = Math.random() * 360;
-  for (let i = 0; i < 5; i++) {
+  palette.stops.forEach((stop, i) => {
     const h = (hue + i * 30) % 360;
     const s = 50 + Math.random() * 50;
     const l = 40 + Math.random() * 40;
-    palette.colors[i] = hslToHex(h, s, l);
-  }
+    stop.color = hslToHex(h, s, l);
+  });
 }
 
 /**
@@ -434,8 +1373,16 @@ function resetToDefault() {
   grid.cellSize = 60;
   grid.offsetX = 0;
   grid.offsetY = 0;
+  grid.layout = 'grid';
+  grid.ringCount = 6;
+  grid.ringItems = 6;
+  grid.ringGrowth = 'radius';
+  grid.spiralCount = 200;
+  grid.spiralAngle = 137.508;
+  grid.lattice = 'square';
   grid.symmetry = 'none';
   grid.symmetryCount = 6;
+  grid.tileSize = 6;
   
   // Shape defaults
   shape.type = 'circle';
@@ -449,6 +1396,18 @@ function resetToDefault() {
   shape.fillColor = '#4a9eff';
   shape.strokeMode = 'none';
   
+  // Reset attractors, shape set, morph, nesting and the render modes
+  field.enabled = false;
+  field.attractors = [];
+  shapeSet.enabled = false;
+  morph.enabled = false;
+  nesting.enabled = false;
+  truchet.enabled = false;
+  lines.enabled = false;
+  metaballs.enabled = false;
+  voronoi.enabled = false;
+  connections.enabled = false;
+  
   // Reset pattern
   pattern.enabled = false;
   
@@ -457,7 +1416,9 @@ function resetToDefault() {
   animation.playing = false;
   
   // Default palette
-  palette.colors = ['#4a9eff', '#ff6b6b', '#4ecdc4', '#ffe66d', '#a8e6cf'];
+  palette.stops = stopsFromColors(['#4a9eff', '#ff6b6b', '#4ecdc4', '#ffe66d', '#a8e6cf']);
+  palette.interpolation = 'srgb';
+  palette.hue = 'shorter';
 }
 
 /**
@@ -0,0 +1,158 @@
+// ============================================================
+// Voronoi - Stained-glass tessellations from cell centers
+// ============================================================
+
+import { Delaunay } from 'd3-delaunay';
+import { canvas, shape, voronoi } from './state.js';
+import { getFillColor, getMaskFactors, getAnimationFactors, getCellAnchor } from './grid.js';
+import { toP5Color, toSVGPaint } from './colors.js';
+import { num, wrapSVG } from './shapes/svg.js';
+import { offsetContours } from './shapes/offset.js';
+
+/**
+ * Clip a convex polygon to the half-plane where a function is non-negative
+ * (one Sutherland-Hodgman pass)
+ * @param {Array} points - polygon vertices {x, y}
+ * @param {Function} side - signed distance of a point from the clip line
+ * @returns {Array} - clipped polygon (empty when nothing is left)
+ */
+function clipPolygon(points, side) {
+  const out = [];
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const da = side(a);
+    const db = side(b);
+    if (da >= 0) out.push(a);
+    if ((da >= 0) !== (db >= 0)) {
+      const t = da / (da - db);
+      out.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+    }
+  }
+  return out;
+}
+
+/**
+ * Clip a convex polygon to the canvas frame
+ * @param {Array} points - polygon vertices {x, y}
+ * @returns {Array}
+ */
+function clipToFrame(points) {
+  let out = points;
+  out = clipPolygon(out, pt => pt.x);
+  out = clipPolygon(out, pt => canvas.width - pt.x);
+  out = clipPolygon(out, pt => pt.y);
+  out = clipPolygon(out, pt => canvas.height - pt.y);
+  return out;
+}
+
+/**
+ * Apply the leading gap and corner rounding to a convex piece: inset by
+ * half the gap plus the radius, then outset by the radius, whose round
+ * joins give the corners
+ * @param {Array} points - polygon vertices {x, y}
+ * @returns {Array} - polygon, empty when the piece is too small for the
+ *   gap and radius
+ */
+function shapePiece(points) {
+  const radius = Math.max(voronoi.rounding, 0);
+  const inset = offsetContours([points], -(Math.max(voronoi.gap, 0) / 2 + radius));
+  if (inset.length === 0) return [];
+  const contours = radius > 0 ? offsetContours(inset, radius) : inset;
+  // Offsetting a convex piece leaves a single polygon
+  return contours[0] || [];
+}
+
+/**
+ * Get the opacity of a cell's piece (fill opacity, animation and mask)
+ * @param {Object} cell - cell data from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {number} - 0-1, 0 for cells hidden by the mask
+ */
+function getCellOpacity(cell, time) {
+  const maskFactors = getMaskFactors(cell.x, cell.y);
+  if (maskFactors.scale <= 0) return 0;
+  return shape.fillOpacity * getAnimationFactors(cell, time).opacity * maskFactors.opacity;
+}
+
+/**
+ * Build the tessellation pieces of a cell list: one Voronoi region per
+ * cell, or the Delaunay triangles between cell centers, clipped to the
+ * canvas frame. Centers are the drawn cell positions (after symmetry,
+ * jitter, noise and position animation).
+ * @param {Array} cells - cells from getGridCells
+ * @param {number} time - animation time (0-1)
+ * @returns {Array} - array of {points, color, opacity}
+ */
+export function getVoronoiPieces(cells, time = 0) {
+  if (cells.length < 3) return [];
+  const sites = cells.map(cell => getCellAnchor(cell, time));
+  const delaunay = Delaunay.from(sites, pt => pt.x, pt => pt.y);
+  const pieces = [];
+  
+  if (voronoi.style === 'triangles') {
+    const { triangles } = delaunay;
+    for (let t = 0; t < triangles.length; t += 3) {
+      const corners = [triangles[t], triangles[t + 1], triangles[t + 2]];
+      const opacity = corners.reduce((sum, i) => sum + getCellOpacity(cells[i], time), 0) / 3;
+      const points = shapePiece(clipToFrame(corners.map(i => sites[i])));
+      if (points.length < 3 || opacity <= 0) continue;
+      
+      // Colored as a cell at the triangle's mean distance; the summed index
+      // lets palette modes vary across the mesh
+      const [a, b, c] = corners.map(i => cells[i]);
+      const color = getFillColor({ ...a, dist: (a.dist + b.dist + c.dist) / 3, index: a.index + b.index + c.index }, time);
+      pieces.push({ points, color, opacity });
+    }
+    return pieces;
+  }
+  
+  const diagram = delaunay.voronoi([0, 0, canvas.width, canvas.height]);
+  cells.forEach((cell, i) => {
+    // Coincident centers share one region (the others get none)
+    const polygon = diagram.cellPolygon(i);
+    if (!polygon) return;
+    const opacity = getCellOpacity(cell, time);
+    const points = shapePiece(polygon.slice(0, -1).map(([x, y]) => ({ x, y })));
+    if (points.length < 3 || opacity <= 0) return;
+    pieces.push({ points, color: getFillColor(cell, time), opacity });
+  });
+  return pieces;
+}
+
+/**
+ * Draw tessellation pieces; the gaps between them show the background
+ * @param {p5} p - p5 instance
+ * @param {Array} pieces - pieces from getVoronoiPieces
+ * @param {number} scale - scale factor (for exports)
+ */
+export function drawVoronoi(p, pieces, scale = 1) {
+  p.push();
+  p.noStroke();
+  for (const { points, color, opacity } of pieces) {
+    p.fill(toP5Color(p, color, opacity));
+    p.beginShape();
+    for (const pt of points) p.vertex(pt.x * scale, pt.y * scale);
+    p.endShape(p.CLOSE);
+  }
+  p.pop();
+}
+
+/**
+ * Generate an SVG of tessellation pieces, one polygon each
+ * @param {Array} pieces - pieces from getVoronoiPieces
+ * @param {Object} options - {width, height, background, underlay, overlay};
+ *   underlay and overlay as for generateSVG
+ * @returns {string} - SVG XML string
+ */
+export function generateVoronoiSVG(pieces, options) {
+  let svg = `  <g id="${voronoi.style}">\n`;
+  for (const { points, color, opacity } of pieces) {
+    const list = points.map(pt => `${num(pt.x)},${num(pt.y)}`).join(' ');
+    const paint = toSVGPaint(color, opacity);
+    const alpha = paint.opacity < 1 ? ` fill-opacity="${paint.opacity}"` : '';
+    svg += `    <polygon points="${list}" fill="${paint.paint}"${alpha}/>\n`;
+  }
+  svg += `  </g>\n`;
+  return wrapSVG(svg, options);
+}